@@ -26,112 +26,29 @@
   const $ = (sel, root = document) => root.querySelector(sel);
   const $$ = (sel, root = document) => Array.from(root.querySelectorAll(sel));
 
-  const num = (v, d = 0) => {
-    const x = parseFloat(String(v ?? "").trim());
-    return Number.isFinite(x) ? x : d;
-  };
-
-  const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
-  const round1 = (x) => Math.round((x + Number.EPSILON) * 10) / 10;
-  const safeId = () => Math.random().toString(36).slice(2, 10);
-
-  const isBubblerType = (t) => String(t || "").trim().toLowerCase() === "bubbler";
-
-  function parsePoints(text) {
-    const lines = String(text || "")
-      .split(/\r?\n/)
-      .map((l) => l.trim())
-      .filter(Boolean);
-
-    const pts = [];
-    for (const line of lines) {
-      const parts = line.split(/[,\s;]+/).map((s) => s.trim()).filter(Boolean);
-      if (parts.length < 2) continue;
-      const gpm = num(parts[0], NaN);
-      const tdh = num(parts[1], NaN);
-      if (!Number.isFinite(gpm) || !Number.isFinite(tdh)) continue;
-      pts.push({ gpm, tdh });
-    }
-    pts.sort((a, b) => a.gpm - b.gpm);
-    return pts;
-  }
-
-  function pointsToText(points) {
-    return (points || []).map((p) => `${p.gpm},${p.tdh}`).join("\n");
-  }
-
-  // GPM at TDH interpolation
-  function gpmAtTDH(points, targetTDH) {
-    if (!points || points.length < 2) return 0;
-
-    const maxTDH = Math.max(...points.map((p) => p.tdh));
-    const minTDH = Math.min(...points.map((p) => p.tdh));
+  const escapeHtml = (v) => String(v ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
 
-    if (targetTDH > maxTDH) return 0;
-    if (targetTDH < minTDH) return points[points.length - 1].gpm;
-
-    for (let i = 0; i < points.length - 1; i++) {
-      const a = points[i];
-      const b = points[i + 1];
-
-      const t1 = a.tdh, t2 = b.tdh;
-      const crosses =
-        (targetTDH <= t1 && targetTDH >= t2) ||
-        (targetTDH >= t1 && targetTDH <= t2);
-
-      if (!crosses) continue;
-
-      const denom = (t2 - t1);
-      if (Math.abs(denom) < 1e-9) return a.gpm;
-      const u = (targetTDH - t1) / denom;
-      const g = a.gpm + u * (b.gpm - a.gpm);
-      return clamp(g, Math.min(a.gpm, b.gpm), Math.max(a.gpm, b.gpm));
-    }
-    return 0;
-  }
+  /* -----------------------------
+     Engine
+     Data tables and every calculation come from engine.js (PoolPumpEngine)
+  ----------------------------- */
+  const {
+    num, clamp, round1, round2, safeId, isBubblerType, WATER_FEATURE_TYPES, DEFAULT_CURVES,
+    FITTING_TYPES, EQUIPMENT_LIBRARY, FILTER_TYPES, FILTER_LIBRARY, PROJECT_FORMAT, PROJECT_VERSION,
+    readProjectFile, POOL_SHAPES, DEPTH_PROFILES, EXTRA_TYPES, builtVolume, featureType, newWaterFeature,
+    featurePerFt, featureHydraulics, MODE_SPA_OPTIONS, MODE_RETURNS, newMode, modeHasFeature, clockHours,
+    clockText, PIPE_SIZES_IN, PIPE_SIDES, SEGMENT_SERVES, newEquipment, hazenWilliams, fillModelSpeedDefaults,
+    defaultState, applyProject, normalizeWaterFeatures, newScenario, openScenario, compareScenarios,
+  } = PoolPumpEngine;
 
   /* -----------------------------
-     Default Data
+     Units
+     Conversions are in the engine; this fills the static labels in the page
   ----------------------------- */
-  const WATER_FEATURE_TYPES = [
-    { id: "Sheer", label: "Sheer" },
-    { id: "Deck Jet", label: "Deck Jet" },
-    { id: "Rain Curtain", label: "Rain Curtain" },
-    { id: "Scupper", label: "Scupper" },
-    { id: "Bubbler", label: "Bubbler" },
-  ];
-
-  const DEFAULT_CURVES = {
-    "Jandy VS FloPro 2.7 HP": {
-      modelLabel: "Jandy VS FloPro 2.7 HP",
-      rpmLines: [
-        { rpm: 3450, label: "3450 RPM", points: [{gpm:0,tdh:95},{gpm:30,tdh:92},{gpm:60,tdh:86},{gpm:90,tdh:75},{gpm:120,tdh:55},{gpm:135,tdh:44}] },
-        { rpm: 3000, label: "3000 RPM", points: [{gpm:0,tdh:75},{gpm:30,tdh:71},{gpm:60,tdh:63},{gpm:90,tdh:50},{gpm:120,tdh:33}] },
-        { rpm: 2750, label: "2750 RPM", points: [{gpm:0,tdh:63},{gpm:30,tdh:59},{gpm:60,tdh:54},{gpm:90,tdh:40},{gpm:110,tdh:26}] },
-      ],
-    },
-    "Jandy VS FloPro 1.85 HP": {
-      modelLabel: "Jandy VS FloPro 1.85 HP",
-      rpmLines: [
-        { rpm: 3450, label: "3450 RPM", points: [{gpm:0,tdh:78},{gpm:30,tdh:74},{gpm:60,tdh:68},{gpm:90,tdh:58},{gpm:110,tdh:45},{gpm:120,tdh:32}] },
-        { rpm: 3000, label: "3000 RPM", points: [{gpm:0,tdh:58},{gpm:30,tdh:55},{gpm:60,tdh:50},{gpm:90,tdh:38},{gpm:105,tdh:25}] },
-      ],
-    },
-    "Jandy FloPro FHPM 1.0 HP": {
-      modelLabel: "Jandy FloPro FHPM 1.0 HP",
-      rpmLines: [
-        { rpm: 3450, label: "3450 RPM", points: [{gpm:0,tdh:56},{gpm:25,tdh:52},{gpm:50,tdh:44},{gpm:70,tdh:33},{gpm:85,tdh:22}] },
-        { rpm: 2400, label: "2400 RPM", points: [{gpm:0,tdh:28},{gpm:25,tdh:25},{gpm:50,tdh:18},{gpm:60,tdh:12}] },
-      ],
-    },
-    "Jandy VS FloPro 3.8 HP": {
-      modelLabel: "Jandy VS FloPro 3.8 HP",
-      rpmLines: [
-        { rpm: 3450, label: "3450 RPM", points: [{gpm:0,tdh:102},{gpm:40,tdh:98},{gpm:80,tdh:92},{gpm:120,tdh:78},{gpm:160,tdh:50},{gpm:185,tdh:38}] },
-        { rpm: 3000, label: "3000 RPM", points: [{gpm:0,tdh:76},{gpm:40,tdh:74},{gpm:80,tdh:69},{gpm:120,tdh:56},{gpm:160,tdh:30}] },
-      ],
-    },
-  };
+  // Static labels in index.html carry data-unit="flow" etc.
+  function renderUnitLabels() {
+    $$("[data-unit]").forEach((n) => { n.textContent = unitLabel(n.dataset.unit); });
+  }
 
   /* -----------------------------
      State
@@ -139,16 +56,32 @@
   const LS_KEY = "ppst_state_v2";
   const LS_CURVES = "ppst_curves_v2";
 
-  let curves = structuredClone(DEFAULT_CURVES);
+  // One catalog object for the life of the page; the engine reads it live, so it is refilled in place
+  const curves = structuredClone(DEFAULT_CURVES);
+
+  function setCurves(next) {
+    for (const k of Object.keys(curves)) delete curves[k];
+    Object.assign(curves, next);
+  }
 
   const state = {
-    project: { client: "", city: "", poolVol: 18000, turnoverH: 6, turnoverCustom: "" },
-    waterFeatures: [{ id: safeId(), type: "Sheer", qty: 3, width: 2, gpmPerFt: 15 }],
-    spa: { enabled: false, setup: "shared", spaVol: 600, spaTurnH: 6, jetsQty: 8, gpmPerJet: 12, spaTDH: 50 },
-    pumps: [{ id: safeId(), model: "Jandy VS FloPro 2.7 HP", qty: 1, system: "Shared", tdh: 50 }],
+    ...defaultState(),
     ui: { selectedPumpIndex: 0, curvesModalOpen: false, curvesActiveModel: "Jandy VS FloPro 2.7 HP", lastTdhWarnSig: "" },
-    engineering: { eqDist: "", fitAllow: 60, pipeIn: 2.5, elev: "", equipHead: 10, C: 140, estimatedTDH: NaN, estimatedFriction: 0, estimatedL: 0, warnText: "" },
   };
+  const DEFAULT_SNAPSHOT = JSON.stringify(snapshotState());
+
+  const engine = PoolPumpEngine.createEngine(state, curves);
+  const {
+    tdhAtGPM, curveEnd, fitSummary, curveIssues, isMetric, unitLabel, toUnit, fmtQ, inputValue, readInput,
+    pipeLabel, pointsToDisplayText, parseDisplayPoints, getTurnoverHours, poolTurnoverFlow, featureFlow,
+    waterFeaturesFlow, spaJetsFlow, spaTurnoverFlow, spaRequiredFlow, spilloverFlow, requiredFlowForSystem,
+    poolModeRequiredTotal, maxCurveTDH, bestCapacityAtTDH, isSeries, groupDuty, minSpeedForSystem,
+    minSpeedForSpaMode, DEFAULT_PUMP_EFFICIENCY, energyText, evaluateModes, worstMode, modeEnergy,
+    evaluateSchedule, filterType, filterMaxRate, filterChecks, RECOMMEND_MAX_QTY, recommendPumps,
+    computeSystemHealth, featureBranchHead, criticalBranch, systemHeadAtFlow, estimateTDHForFlow,
+    systemCurveActive, headFnForPump, headFnForSystem, systemForScope, estimateFlowByScope,
+    activeRequirements, velocityChecks,
+  } = engine;
 
   /* -----------------------------
      DOM
@@ -159,10 +92,36 @@
     btnRecalc: $("#btnRecalc"),
     fileImport: $("#fileImport"),
     btnPrint: $("#btnPrint"),
+    btnUndo: $("#btnUndo"),
+    btnRedo: $("#btnRedo"),
+    btnProjects: $("#btnProjects"),
+    projectsModal: $("#projectsModal"),
+    btnCloseProjects: $("#btnCloseProjects"),
+    btnNewProject: $("#btnNewProject"),
+    inProjectSearch: $("#inProjectSearch"),
+    chkShowArchived: $("#chkShowArchived"),
+    projectList: $("#projectList"),
+    report: $("#report"),
+    importModal: $("#importModal"),
+    outImportReport: $("#outImportReport"),
+    btnCloseImport: $("#btnCloseImport"),
+    inNotes: $("#inNotes"),
+    selScenario: $("#selScenario"),
+    inScenarioName: $("#inScenarioName"),
+    btnAddScenario: $("#btnAddScenario"),
+    btnRemoveScenario: $("#btnRemoveScenario"),
+    btnCompare: $("#btnCompare"),
+    compareModal: $("#compareModal"),
+    btnCloseCompare: $("#btnCloseCompare"),
+    outCompare: $("#outCompare"),
 
     inClient: $("#inClient"),
     inCity: $("#inCity"),
     inPoolVol: $("#inPoolVol"),
+    selUnits: $("#selUnits"),
+    poolVolBuilder: $("#poolVolBuilder"),
+    spaVolBuilder: $("#spaVolBuilder"),
+    selMetricFlow: $("#selMetricFlow"),
     selTurnover: $("#selTurnover"),
     inTurnCustom: $("#inTurnoverCustom"),
 
@@ -182,24 +141,58 @@
     outSpaJets: $("#outSpaJets"),
     outSpaTurn: $("#outSpaTurn"),
     outSpaReq: $("#outSpaReq"),
-    badgePoolMode: $("#badgePoolMode"),
-    badgeSpaMode: $("#badgeSpaMode"),
-    outPoolNeedLine: $("#outPoolNeedLine"),
-    outSpaNeedLine: $("#outSpaNeedLine"),
+    inSpillWidth: $("#inSpillWidth"),
+    inSpillRate: $("#inSpillRate"),
+    modeList: $("#modeList"),
+    btnAddMode: $("#btnAddMode"),
+    outWorstMode: $("#outWorstMode"),
+    inRate: $("#inRate"),
+    btnAddSlot: $("#btnAddSlot"),
+    slotList: $("#slotList"),
+    inTargetTurnovers: $("#inTargetTurnovers"),
+    outSchedule: $("#outSchedule"),
 
     btnAddPump: $("#btnAddPump"),
     pumpsList: $("#pumpsList"),
+    outSpeedPlan: $("#outSpeedPlan"),
+    btnRecommend: $("#btnRecommend"),
+    recommendPanel: $("#recommendPanel"),
+    selRecommendSort: $("#selRecommendSort"),
+    outRecommend: $("#outRecommend"),
+    chkFilter: $("#chkFilter"),
+    selFilterModel: $("#selFilterModel"),
+    selFilterType: $("#selFilterType"),
+    inFilterArea: $("#inFilterArea"),
+    inFilterRated: $("#inFilterRated"),
+    selFilterUse: $("#selFilterUse"),
+    selFilterServes: $("#selFilterServes"),
+    outFilter: $("#outFilter"),
+    suctionList: $("#suctionList"),
+    outSuction: $("#outSuction"),
 
     canvas: $("#curveCanvas"),
+    outDutyPoints: $("#outDutyPoints"),
     btnEditCurves: $("#btnEditCurves"),
 
     inEqDist: $("#inEqDist"),
-    inFitAllow: $("#inFitAllow"),
     selPipeIn: $("#selPipeIn"),
     inElev: $("#inElev"),
-    inEquipHead: $("#inEquipHead"),
+    selAddEquip: $("#selAddEquip"),
+    btnAddEquip: $("#btnAddEquip"),
+    equipList: $("#equipList"),
     inC: $("#inC"),
     selApplyTDH: $("#selApplyTDH"),
+    btnAddSeg: $("#btnAddSeg"),
+    segList: $("#segList"),
+    btnAddFit: $("#btnAddFit"),
+    fitList: $("#fitList"),
+    outFitTotal: $("#outFitTotal"),
+    outSegBreakdown: $("#outSegBreakdown"),
+    outVelocity: $("#outVelocity"),
+    inVelSuction: $("#inVelSuction"),
+    selCurveModel: $("#selCurveModel"),
+    inExtrapolate: $("#inExtrapolate"),
+    inVelReturn: $("#inVelReturn"),
     btnEstimateTDH: $("#btnEstimateTDH"),
     tdhBadge: $("#tdhBadge"),
 
@@ -210,6 +203,10 @@
     btnAddRPM: $("#btnAddRPM"),
     btnResetCurves: $("#btnResetCurves"),
     btnSaveCurves: $("#btnSaveCurves"),
+    btnImportCatalog: $("#btnImportCatalog"),
+    fileCatalog: $("#fileCatalog"),
+    selCatalogMode: $("#selCatalogMode"),
+    outCatalogReport: $("#outCatalogReport"),
   };
 
   const ctx = el.canvas?.getContext?.("2d") || null;
@@ -217,238 +214,391 @@
   /* -----------------------------
      Load / Save
   ----------------------------- */
+  // Project data as saved (localStorage working copy, library records, export)
+  function snapshotState() {
+    return {
+      project: state.project,
+      waterFeatures: state.waterFeatures,
+      spa: state.spa,
+      pumps: state.pumps,
+      engineering: state.engineering,
+      energy: state.energy,
+      modes: state.modes,
+      schedule: state.schedule,
+      filter: state.filter,
+      suction: state.suction,
+      scenarios: state.scenarios,
+      activeScenario: state.activeScenario,
+      ui: state.ui,
+    };
+  }
+
+  function applyState(saved) {
+    applyProject(state, saved);
+    Object.assign(state.ui, saved.ui || {});
+  }
+
   function loadAll() {
     try {
       const s = localStorage.getItem(LS_KEY);
-      if (s) {
-        const parsed = JSON.parse(s);
-        Object.assign(state.project, parsed.project || {});
-        state.waterFeatures = Array.isArray(parsed.waterFeatures) ? parsed.waterFeatures : state.waterFeatures;
-        Object.assign(state.spa, parsed.spa || {});
-        state.pumps = Array.isArray(parsed.pumps) ? parsed.pumps : state.pumps;
-        Object.assign(state.engineering, parsed.engineering || {});
-        Object.assign(state.ui, parsed.ui || {});
-      }
+      if (s) applyState(JSON.parse(s));
     } catch {}
 
     try {
       const c = localStorage.getItem(LS_CURVES);
-      if (c) curves = JSON.parse(c);
+      if (c) setCurves(JSON.parse(c));
     } catch {}
-
-    // Normalize bubbler rows after load (ensure width=1)
-    state.waterFeatures.forEach((wf) => {
-      if (isBubblerType(wf.type)) wf.width = 1;
-    });
+    fillModelSpeedDefaults(curves);
   }
 
   function saveAll() {
-    localStorage.setItem(LS_KEY, JSON.stringify({
-      project: state.project,
-      waterFeatures: state.waterFeatures,
-      spa: state.spa,
-      pumps: state.pumps,
-      engineering: state.engineering,
-      ui: state.ui,
-    }));
+    localStorage.setItem(LS_KEY, JSON.stringify(snapshotState()));
     localStorage.setItem(LS_CURVES, JSON.stringify(curves));
+    recordHistory();
+    scheduleLibrarySave();
   }
 
   /* -----------------------------
-     Core Calculations
+     Project library (IndexedDB)
+     One record per project: { id, client, city, created, updated, archived, data }.
+     localStorage keeps the open project as the working copy; the library copy follows
+     shortly after each change. Curves are not per project: they stay one shared catalog.
   ----------------------------- */
-  function getTurnoverHours() {
-    const custom = num(state.project.turnoverCustom, NaN);
-    if (Number.isFinite(custom) && custom > 0) return custom;
-    return num(state.project.turnoverH, 6) || 6;
+  const LS_CURRENT = "ppst_current_project";
+  const IDB_NAME = "ppst_library";
+  const IDB_STORE = "projects";
+  const LIBRARY_SAVE_DELAY_MS = 400;
+
+  let libraryDb = null;
+  let librarySaveTimer = null;
+  let currentProjectId = "";
+  try { currentProjectId = localStorage.getItem(LS_CURRENT) || ""; } catch {}
+
+  function openLibrary() {
+    if (!window.indexedDB) return Promise.reject(new Error("This browser has no IndexedDB; only the open project is kept."));
+    if (!libraryDb) {
+      libraryDb = new Promise((resolve, reject) => {
+        const req = indexedDB.open(IDB_NAME, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(IDB_STORE, { keyPath: "id" });
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return libraryDb;
   }
 
-  function poolTurnoverFlow() {
-    const vol = num(state.project.poolVol, 0);
-    const hours = getTurnoverHours();
-    if (!vol || !hours) return 0;
-    return (vol / hours) / 60;
+  async function libraryRequest(mode, fn) {
+    const db = await openLibrary();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(IDB_STORE, mode);
+      const req = fn(tx.objectStore(IDB_STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+    });
   }
 
-  function waterFeaturesFlow() {
-    return state.waterFeatures.reduce((sum, wf) => {
-      const qty = num(wf.qty, 0);
-      const gpmRate = num(wf.gpmPerFt, 0);
+  const listProjects = () => libraryRequest("readonly", store => store.getAll());
+  const getProject = (id) => libraryRequest("readonly", store => store.get(id));
+  const putProject = (rec) => libraryRequest("readwrite", store => store.put(rec));
+  const removeProject = (id) => libraryRequest("readwrite", store => store.delete(id));
 
-      // ✅ Bubbler: treat as Qty * GPM(each). Width ignored.
-      if (isBubblerType(wf.type)) {
-        return sum + (qty * gpmRate);
-      }
+  function setCurrentProject(id) {
+    if (currentProjectId && currentProjectId !== id) clearHistory();
+    currentProjectId = id;
+    localStorage.setItem(LS_CURRENT, id);
+  }
 
-      const width = num(wf.width, 0);
-      return sum + (qty * width * gpmRate);
-    }, 0);
+  function scheduleLibrarySave() {
+    clearTimeout(librarySaveTimer);
+    librarySaveTimer = setTimeout(() => { saveCurrentToLibrary().catch(() => {}); }, LIBRARY_SAVE_DELAY_MS);
   }
 
-  function spaJetsFlow() {
-    return num(state.spa.jetsQty, 0) * num(state.spa.gpmPerJet, 0);
+  // The open project's record, created on first save (older single-project saves land here too)
+  async function saveCurrentToLibrary() {
+    clearTimeout(librarySaveTimer);
+    if (!currentProjectId) setCurrentProject(safeId());
+    const old = await getProject(currentProjectId);
+    const now = Date.now();
+    await putProject({
+      id: currentProjectId,
+      created: old?.created ?? now,
+      archived: !!old?.archived,
+      client: state.project.client || "",
+      city: state.project.city || "",
+      updated: now,
+      data: JSON.parse(JSON.stringify(snapshotState())),
+    });
   }
 
-  function spaTurnoverFlow() {
-    const vol = num(state.spa.spaVol, 0);
-    const hrs = num(state.spa.spaTurnH, 0);
-    if (!vol || !hrs) return 0;
-    return (vol / hrs) / 60;
+  // Back to the defaults captured at startup, then the given project data on top
+  function replaceState(data) {
+    applyState(JSON.parse(DEFAULT_SNAPSHOT));
+    if (data) applyState(structuredClone(data));
   }
 
-  function spaRequiredFlow() {
-    return Math.max(spaJetsFlow(), spaTurnoverFlow());
+  async function openProject(id) {
+    await saveCurrentToLibrary();
+    const rec = await getProject(id);
+    if (!rec) return;
+    replaceState(rec.data);
+    setCurrentProject(id);
+    persistAndRecalc();
   }
 
-  // ✅ Flow allocation fix:
-  // If there is ANY Water pump, Shared no longer double-counts water features.
-  function hasWaterPumps() {
-    return state.pumps.some(p => p.system === "Water");
+  async function newProject() {
+    await saveCurrentToLibrary();
+    replaceState(null);
+    setCurrentProject(safeId());
+    persistAndRecalc();
   }
 
-  function requiredFlowForSystem(system) {
-    const pool = poolTurnoverFlow();
-    const wf = waterFeaturesFlow();
+  async function duplicateProject(id) {
+    if (id === currentProjectId) await saveCurrentToLibrary();
+    const rec = await getProject(id);
+    if (!rec) return;
+    const client = `${rec.client || "Untitled"} (copy)`;
+    const now = Date.now();
+    const data = structuredClone(rec.data);
+    data.project = { ...data.project, client };
+    await putProject({ ...rec, id: safeId(), client, created: now, updated: now, archived: false, data });
+  }
 
-    if (system === "Pool") return pool;
-    if (system === "Water") return wf;
-    if (system === "Spa") return state.spa.enabled ? spaRequiredFlow() : 0;
+  async function renameProject(id, client) {
+    if (id === currentProjectId) {
+      state.project.client = client;
+      persistAndRecalc();
+      await saveCurrentToLibrary();
+      return;
+    }
+    const rec = await getProject(id);
+    if (!rec) return;
+    rec.client = client;
+    rec.data.project = { ...rec.data.project, client };
+    await putProject(rec);
+  }
 
-    // Shared:
-    // - Always includes Pool turnover
-    // - Includes Water Features ONLY if you have NO dedicated Water pumps
-    return pool + (hasWaterPumps() ? 0 : wf);
+  async function archiveProject(id, archived) {
+    if (id === currentProjectId) await saveCurrentToLibrary();
+    const rec = await getProject(id);
+    if (!rec) return;
+    await putProject({ ...rec, archived });
   }
 
-  function poolModeRequiredTotal() {
-    // For display: total required in pool mode depends on allocation
-    return poolTurnoverFlow() + waterFeaturesFlow();
+  // Deleting the open project leaves a fresh one open in its place
+  async function deleteProject(id) {
+    await removeProject(id);
+    if (id !== currentProjectId) return;
+    replaceState(null);
+    setCurrentProject(safeId());
+    persistAndRecalc();
   }
 
   /* -----------------------------
-     Pump capacity at TDH (choose best RPM line)
+     Undo / redo
+     Every save is compared with the last one; what changed can be stepped back. Snapshots
+     cover the project and the curve catalog but not view state (ui). The stacks live in
+     sessionStorage so a reload keeps them until the tab is closed.
   ----------------------------- */
-  function maxCurveTDH(modelKey) {
-    const m = curves[modelKey];
-    if (!m || !m.rpmLines?.length) return 0;
-    let max = 0;
-    for (const line of m.rpmLines) {
-      for (const p of (line.points || [])) max = Math.max(max, num(p.tdh, 0));
-    }
-    return max;
+  const SS_HISTORY = "ppst_history";
+  const HISTORY_LIMIT = 50;
+  // Saves this close together (typing in one field) collapse into one step
+  const HISTORY_MERGE_MS = 1000;
+
+  const editHistory = { undo: [], redo: [] };
+  let historyLast = null;
+  let historyLastAt = 0;
+  let historyRestoring = false;
+
+  try { Object.assign(editHistory, JSON.parse(sessionStorage.getItem(SS_HISTORY)) || {}); } catch {}
+
+  function historySnapshot() {
+    const { ui, ...project } = snapshotState();
+    return JSON.stringify({ state: project, curves });
   }
 
-  function bestCapacityAtTDH(pump) {
-    const model = curves[pump.model];
-    if (!model || !model.rpmLines?.length) {
-      return { ok: false, best: null, maxTDH: 0, capPerPump: 0, capTotal: 0 };
+  function saveHistory() {
+    // Out of session quota: keep the most recent half
+    for (;;) {
+      try {
+        sessionStorage.setItem(SS_HISTORY, JSON.stringify(editHistory));
+        return;
+      } catch {
+        if (!editHistory.undo.length && !editHistory.redo.length) return;
+        editHistory.undo = editHistory.undo.slice(Math.floor(editHistory.undo.length / 2));
+        editHistory.redo = editHistory.redo.slice(0, Math.floor(editHistory.redo.length / 2));
+      }
     }
+  }
 
-    const tdh = num(pump.tdh, 0);
-    const qty = Math.max(1, Math.round(num(pump.qty, 1)));
-    const maxTDH = maxCurveTDH(pump.model);
+  // Called from saveAll with the state just saved
+  function recordHistory() {
+    const snap = historySnapshot();
+    if (historyRestoring || historyLast === null) { historyLast = snap; return; }
+    if (snap === historyLast) return;
 
-    if (maxTDH > 0 && tdh > maxTDH) {
-      return { ok: false, best: null, maxTDH, capPerPump: 0, capTotal: 0 };
+    const now = Date.now();
+    if (now - historyLastAt > HISTORY_MERGE_MS || !editHistory.undo.length) {
+      editHistory.undo.push(historyLast);
+      if (editHistory.undo.length > HISTORY_LIMIT) editHistory.undo.shift();
     }
+    editHistory.redo = [];
+    historyLast = snap;
+    historyLastAt = now;
+    saveHistory();
+  }
 
-    let best = null;
-    for (const line of model.rpmLines) {
-      const per = gpmAtTDH(line.points || [], tdh);
-      if (per <= 0) continue;
-      const total = per * qty;
-      if (!best || total > best.total) best = { line, per, total };
-    }
+  // Starting a different project: steps from the previous one don't apply to it
+  function clearHistory() {
+    editHistory.undo = [];
+    editHistory.redo = [];
+    historyLast = null;
+    saveHistory();
+  }
+
+  function restoreSnapshot(snap) {
+    const saved = JSON.parse(snap);
+    const ui = { ...state.ui };
+    replaceState(saved.state);
+    Object.assign(state.ui, ui);
+    state.ui.selectedPumpIndex = clamp(state.ui.selectedPumpIndex, 0, Math.max(0, state.pumps.length - 1));
+    setCurves(saved.curves);
+    if (!curves[state.ui.curvesActiveModel]) state.ui.curvesActiveModel = Object.keys(curves)[0] || "";
+
+    historyRestoring = true;
+    try { persistAndRecalc(); } finally { historyRestoring = false; }
+    historyLast = snap;
+    historyLastAt = 0;
+  }
 
-    if (!best) return { ok: false, best: null, maxTDH, capPerPump: 0, capTotal: 0 };
+  function undo() {
+    if (!editHistory.undo.length) return;
+    editHistory.redo.push(historyLast ?? historySnapshot());
+    restoreSnapshot(editHistory.undo.pop());
+    saveHistory();
+    renderHistoryButtons();
+  }
+
+  function redo() {
+    if (!editHistory.redo.length) return;
+    editHistory.undo.push(historyLast ?? historySnapshot());
+    restoreSnapshot(editHistory.redo.pop());
+    saveHistory();
+    renderHistoryButtons();
+  }
 
-    return { ok: true, best, maxTDH, capPerPump: best.per, capTotal: best.total };
+  function renderHistoryButtons() {
+    el.btnUndo.disabled = !editHistory.undo.length;
+    el.btnRedo.disabled = !editHistory.redo.length;
   }
 
   /* -----------------------------
-     ✅ System-level validation
+     Project file format
+     Exports are { format, version, state, curves, results }. On import the file is migrated
+     step by step to the current version, then every field is checked against the schema.
+     Any problem rejects the whole file, so broken values never reach state.
   ----------------------------- */
-  function computeSystemHealth() {
-    const systems = ["Shared", "Pool", "Water", "Spa"];
-    const map = {};
-    for (const s of systems) {
-      const req = requiredFlowForSystem(s);
-      const pumps = state.pumps.filter(p => p.system === s);
-
-      let cap = 0;
-      let hardFail = false; // e.g., TDH beyond curves for any pump in this system
-      const details = [];
-
-      for (const p of pumps) {
-        const c = bestCapacityAtTDH(p);
-        if (!c.ok) {
-          hardFail = true;
-          details.push({ pumpId: p.id, ok: false, text: `Pump cannot run @ TDH ${round1(num(p.tdh,0))} ft (max ${round1(c.maxTDH)} ft)` });
-          continue;
-        }
-        cap += c.capTotal;
-        details.push({ pumpId: p.id, ok: true, text: `Cap ${round1(c.capTotal)} GPM @ ${c.best.line.label || (c.best.line.rpm+" RPM")} (Qty ${Math.max(1,Math.round(num(p.qty,1)))})` });
+  function importReportText(name, res) {
+    const lines = [];
+    if (!res.file) {
+      lines.push(`${name} was not imported: ${res.errors.length} problem(s). Nothing was changed.`, "", ...res.errors);
+      return lines.join("\n");
+    }
+    lines.push(`Imported ${name}.`);
+    if (res.from < PROJECT_VERSION) lines.push(`Upgraded from format v${res.from} to v${PROJECT_VERSION}.`);
+    if (res.ignored.length) lines.push("", `Ignored ${res.ignored.length} unknown field(s):`, ...res.ignored);
+    return lines.join("\n");
+  }
+
+  async function importProjectFile(file) {
+    let res;
+    try {
+      res = readProjectFile(JSON.parse(await file.text()), curves);
+    } catch (e) {
+      res = { file: null, errors: [`Not valid JSON: ${e.message}`], ignored: [], from: null };
+    }
+
+    if (res.file) {
+      // The file is a whole project, opened as a new library entry; curves join the shared catalog
+      if (res.file.state) {
+        await saveCurrentToLibrary().catch(() => {});
+        replaceState(res.file.state);
+        setCurrentProject(safeId());
       }
+      if (res.file.curves) Object.assign(curves, res.file.curves);
+      fillModelSpeedDefaults(curves);
+      persistAndRecalc();
+    }
 
-      const hasP = pumps.length > 0;
-      const pass = hasP && !hardFail && cap >= req;
-      const fail = req > 0 && !pass;
-
-      map[s] = {
-        req,
-        cap,
-        pass,
-        fail,
-        hasP,
-        details,
-        summaryText:
-          !hasP
-            ? (req > 0 ? `FAIL (No pumps assigned, Req ${round1(req)} GPM)` : `—`)
-            : pass
-              ? `PASS (Req ${round1(req)} ≤ Cap ${round1(cap)} GPM)`
-              : `FAIL (Req ${round1(req)} > Cap ${round1(cap)} GPM${hardFail ? " + TDH issue" : ""})`,
-      };
+    if (!res.file || res.ignored.length || res.from < PROJECT_VERSION) {
+      el.outImportReport.textContent = importReportText(file.name, res);
+      el.importModal.classList.remove("hidden");
     }
-    return map;
   }
 
   /* -----------------------------
-     TDH Estimator (Hazen–Williams) + NO POPUP
+     Volume builder
+     Field labels for the builder form; the geometry is in the engine
   ----------------------------- */
-  function estimateTDHForFlow(flowGPM) {
-    const eqDist = num(state.engineering.eqDist, 0);
-    const fitAllow = num(state.engineering.fitAllow, 0);
-    const elev = num(state.engineering.elev, 0);
-    const equipHead = num(state.engineering.equipHead, 0);
-    const C = clamp(num(state.engineering.C, 140), 80, 160);
-    const d = clamp(num(state.engineering.pipeIn, 2.5), 1.0, 6.0);
-
-    const L = Math.max(0, (eqDist * 2) + fitAllow);
-    const Q = Math.max(0, flowGPM);
-
-    const friction = (Q <= 0 || L <= 0)
-      ? 0
-      : 4.52 * L * Math.pow(Q, 1.85) / (Math.pow(C, 1.85) * Math.pow(d, 4.87));
-
-    const tdh = friction + elev + equipHead;
+  // Field labels per shape; kind picks the display unit
+  const VOLUME_FIELDS = {
+    length: { label: "Length", kind: "length" },
+    width: { label: "Width", kind: "length" },
+    width2: { label: "Narrow-end width", kind: "length" },
+    length2: { label: "Leg 2 length", kind: "length" },
+    area: { label: "Surface area", kind: "area" },
+    depth: { label: "Depth", kind: "length" },
+    shallow: { label: "Shallow depth", kind: "length" },
+    deep: { label: "Deep depth", kind: "length" },
+    shallowPct: { label: "Shallow floor (% of length)", kind: "" },
+    transitionPct: { label: "Transition slope (% of length)", kind: "" },
+    hopperPct: { label: "Hopper (% of floor)", kind: "" },
+  };
 
-    state.engineering.estimatedL = L;
-    state.engineering.estimatedFriction = friction;
-    state.engineering.estimatedTDH = tdh;
+  // Builder results feed the same fields the flow math already reads
+  function syncBuiltVolumes() {
+    if (state.project.volume?.enabled) state.project.poolVol = Math.round(builtVolume(state.project.volume).gallons);
+    if (state.spa.volume?.enabled) state.spa.spaVol = Math.round(builtVolume(state.spa.volume).gallons);
+  }
 
-    return tdh;
+  /* -----------------------------
+     Daily schedule
+  ----------------------------- */
+  function newSlot(overrides) {
+    return { id: safeId(), start: "08:00", end: "16:00", modeId: state.modes[0]?.id || "", rpm: 1800, ...overrides };
   }
 
-  function estimateFlowByScope(scope) {
-    if (scope === "pool") return requiredFlowForSystem("Pool");
-    if (scope === "water") return requiredFlowForSystem("Water");
-    if (scope === "spa") return requiredFlowForSystem("Spa");
-    if (scope === "shared") return requiredFlowForSystem("Shared");
+  /* -----------------------------
+     Filter check
+  ----------------------------- */
+  // Library models fill area and rating; "custom" keeps what was typed
+  function applyFilterModel(id) {
+    const lib = FILTER_LIBRARY.find(x => x.id === id);
+    state.filter.model = lib ? lib.id : "custom";
+    if (lib) Object.assign(state.filter, { type: lib.type, area: lib.area, rated: lib.rated });
+  }
 
-    const reqs = ["Shared","Pool","Water","Spa"].map(s => requiredFlowForSystem(s));
-    return Math.max(...reqs, 0);
+  /* -----------------------------
+     Pump recommender
+  ----------------------------- */
+  // The system's pumps become a single row of the chosen model (it was rated as the only row);
+  // more than one row there, including series boosters, asks first
+  function applyRecommendation(system, model, qty) {
+    const rows = state.pumps.filter(p => p.system === system);
+    if (!rows.length) return;
+    if (rows.length > 1) {
+      const list = rows.map(p => `• ${curves[p.model]?.modelLabel || p.model} × ${Math.max(1, Math.round(num(p.qty, 1)))}${isSeries(p) ? " (series)" : ""}`);
+      const label = system === "Water" ? "Water Features" : system;
+      if (!window.confirm(`Replace all ${rows.length} ${label} pump rows with ${curves[model]?.modelLabel || model} × ${qty}?\n\n${list.join("\n")}\n\nUndo (Ctrl+Z) brings them back.`)) return;
+    }
+    Object.assign(rows[0], { model, qty, arrangement: "parallel" });
+    state.pumps = state.pumps.filter(p => p.system !== system || p === rows[0]);
+    state.ui.selectedPumpIndex = state.pumps.indexOf(rows[0]);
+    persistAndRecalc();
   }
 
+  /* -----------------------------
+     TDH estimate guard
+  ----------------------------- */
   function setTdhWarningOnce(message, sig) {
     if (state.ui.lastTdhWarnSig === sig) return;
     state.ui.lastTdhWarnSig = sig;
@@ -465,7 +615,7 @@
     }
     if (flow > 400) {
       setTdhWarningOnce(
-        `TDH Estimate WARNING: Required Flow is extremely high (${f} GPM). Check Water Features inputs (Qty/Width/GPM per ft).`,
+        `TDH Estimate WARNING: Required Flow is extremely high (${fmtQ("flow", flow)}). Check Water Features inputs (Qty/Width/flow per width).`,
         `f:${f}`
       );
       return false;
@@ -476,7 +626,7 @@
     }
     if (tdh > 200) {
       setTdhWarningOnce(
-        `TDH Estimate WARNING: Estimated TDH is extremely high (${t} ft). Reduce Flow/Distance or check inputs.`,
+        `TDH Estimate WARNING: Estimated TDH is extremely high (${fmtQ("head", tdh)}). Reduce Flow/Distance or check inputs.`,
         `t:${t}`
       );
       return false;
@@ -517,7 +667,14 @@
   function renderProject() {
     el.inClient.value = state.project.client || "";
     el.inCity.value = state.project.city || "";
-    el.inPoolVol.value = state.project.poolVol ?? "";
+    el.inNotes.value = state.project.notes || "";
+    el.inPoolVol.value = inputValue("volume", state.project.poolVol ?? "");
+    el.inPoolVol.disabled = !!state.project.volume?.enabled;
+    el.inPoolVol.title = el.inPoolVol.disabled ? "From the volume builder" : "";
+    renderVolumeBuilder(el.poolVolBuilder, state.project.volume);
+    el.selUnits.value = isMetric() ? "metric" : "us";
+    el.selMetricFlow.value = state.project.metricFlow === "lpm" ? "lpm" : "m3h";
+    el.selMetricFlow.disabled = !isMetric();
     el.selTurnover.value = String(state.project.turnoverH ?? 6);
     el.inTurnCustom.value = state.project.turnoverCustom ?? "";
 
@@ -533,17 +690,17 @@
 
   function renderWaterFeatures() {
     el.wfList.innerHTML = "";
+    const critical = criticalBranch(state.waterFeatures);
     state.waterFeatures.forEach((wf) => {
       const isB = isBubblerType(wf.type);
+      const hydraulic = wf.method === "hydraulic";
+      const model = featureType(wf.type).model;
 
       // Keep data consistent
       if (isB) wf.width = 1;
 
-      const qty = num(wf.qty, 0);
-      const gpmRate = num(wf.gpmPerFt, 0);
-      const width = isB ? 1 : num(wf.width, 0);
-
-      const rowGpm = round1(qty * (isB ? 1 : width) * gpmRate); // if bubbler => qty * gpmRate
+      const h = featureHydraulics(wf);
+      const rowGpm = round1(toUnit("flow", featureFlow(wf)));
 
       const row = document.createElement("div");
       row.className = "wfRow";
@@ -568,41 +725,43 @@
 
       selType.value = wf.type;
       inQty.value = wf.qty;
-      inW.value = wf.width;
-      inG.value = wf.gpmPerFt;
+      // Lip features rate per unit of lip width; bubblers and jets are flow each
+      const rateUnit = h.perFt ? "flowPerLength" : "flow";
+      inW.value = inputValue("length", h.perFt ? wf.width : 1);
+      inG.value = hydraulic ? round1(toUnit(rateUnit, h.rate)) : inputValue(rateUnit, wf.gpmPerFt);
 
-      // ✅ Bubbler behavior: width fixed to 1 and disabled
-      if (isB) {
-        inW.value = 1;
+      // ✅ No lip: width fixed to 1 and disabled
+      if (!h.perFt) {
         inW.disabled = true;
-        inW.title = "Bubbler: Width is not used. Fixed to 1.";
-        inG.title = "Bubbler: this value is treated as GPM per Bubbler (GPM each).";
+        inW.title = `${wf.type}: Width is not used. Fixed to 1.`;
       } else {
         inW.disabled = false;
-        inW.title = "Width (ft)";
-        inG.title = "GPM per ft";
+        inW.title = `Width (${unitLabel("length")})`;
       }
+      inG.disabled = hydraulic;
+      inG.title = hydraulic
+        ? `Calculated from the ${model === "weir" ? "sheet thickness" : model === "nozzle" ? "orifice and arc" : "bubble height"} (${unitLabel(rateUnit)}${h.perFt ? "" : " each"})`
+        : `${unitLabel(rateUnit)}${h.perFt ? "" : ` per ${wf.type} (each)`}`;
 
       selType.addEventListener("change", () => {
-        wf.type = selType.value;
+        Object.assign(wf, { ...featureType(selType.value).defaults, ...wf, type: selType.value });
         if (isBubblerType(wf.type)) wf.width = 1; // enforce
         persistAndRecalc();
       });
 
-      inQty.addEventListener("input", () => { wf.qty = num(inQty.value, 0); persistAndRecalc(); });
+      inQty.addEventListener("input", () => { wf.qty = Math.max(0, num(inQty.value, 0)); persistAndRecalc(); });
 
       inW.addEventListener("input", () => {
-        // if bubbler, ignore edits; keep 1
-        if (isBubblerType(wf.type)) {
-          wf.width = 1;
+        // without a lip, ignore edits; keep 1
+        if (!featurePerFt(wf)) {
           inW.value = 1;
         } else {
-          wf.width = num(inW.value, 0);
+          wf.width = Math.max(0, readInput("length", inW.value, 0));
         }
         persistAndRecalc();
       });
 
-      inG.addEventListener("input", () => { wf.gpmPerFt = num(inG.value, 0); persistAndRecalc(); });
+      inG.addEventListener("input", () => { wf.gpmPerFt = Math.max(0, readInput(rateUnit, inG.value, 0)); persistAndRecalc(); });
 
       btnRm.addEventListener("click", () => {
         state.waterFeatures = state.waterFeatures.filter(x => x.id !== wf.id);
@@ -610,97 +769,634 @@
       });
 
       el.wfList.appendChild(row);
+      el.wfList.appendChild(renderFeatureDetail(wf, h));
+      el.wfList.appendChild(renderFeatureBranch(wf, critical?.wf === wf));
+    });
+  }
+
+  // Where the feature sits and how it's piped; its head at design flow
+  function renderFeatureBranch(wf, isCritical) {
+    const b = featureBranchHead(wf);
+    const calc = featureHydraulics(wf).inletHead;
+    const row = document.createElement("div");
+    row.className = "wfDetail";
+    row.innerHTML = `
+      <label>Elevation (${unitLabel("length")}) <input data-k="elevFt" type="number" step="0.5" /></label>
+      <label>Residual (${unitLabel("head")}) <input data-k="residualFt" type="number" min="0" step="0.5" /></label>
+      <label>Branch (${unitLabel("length")}) <input data-k="branchFt" type="number" min="0" step="1" /></label>
+      <select data-k="branchIn">${PIPE_SIZES_IN.map(d => `<option value="${d}">${pipeLabel(d)}</option>`).join("")}</select>
+      <span></span>
+    `;
+
+    const q = (k) => row.querySelector(`[data-k="${k}"]`);
+    q("elevFt").value = inputValue("length", wf.elevFt ?? "");
+    q("residualFt").value = inputValue("head", wf.residualFt ?? "");
+    q("residualFt").placeholder = Number.isFinite(calc) ? String(round2(toUnit("head", calc))) : "0";
+    q("residualFt").title = "Head needed at the outlet. Blank = the calculated inlet head.";
+    q("branchFt").value = inputValue("length", wf.branchFt ?? "");
+    q("branchIn").value = String(num(wf.branchIn, 1.5));
+
+    q("elevFt").addEventListener("change", () => { wf.elevFt = readInput("length", q("elevFt").value, ""); persistAndRecalc(); });
+    q("residualFt").addEventListener("change", () => {
+      wf.residualFt = q("residualFt").value.trim() === "" ? "" : Math.max(0, readInput("head", q("residualFt").value, 0));
+      persistAndRecalc();
+    });
+    q("branchFt").addEventListener("change", () => { wf.branchFt = Math.max(0, readInput("length", q("branchFt").value, 0)); persistAndRecalc(); });
+    q("branchIn").addEventListener("change", () => { wf.branchIn = num(q("branchIn").value, 1.5); persistAndRecalc(); });
+
+    row.querySelector("span").textContent = `Branch head ${fmtQ("head", b.head)}${isCritical ? " · critical" : ""}`;
+    if (isCritical) row.querySelector("span").style.fontWeight = "800";
+    return row;
+  }
+
+  // Method and hydraulic inputs under a feature row, with the rate and inlet head they give
+  function renderFeatureDetail(wf, h) {
+    const model = featureType(wf.type).model;
+    const hydraulic = wf.method === "hydraulic";
+    const fields = !hydraulic ? []
+      : model === "weir" ? [["sheetIn", "Sheet thickness", "size"]]
+      : model === "nozzle" ? [["orificeIn", "Orifice", "size"], ["arcFt", "Arc throw", "length"], ["arcHeightFt", "Arc height", "length"]]
+      : [["bubbleIn", "Bubble height", "size"]];
+
+    const detail = document.createElement("div");
+    detail.className = "wfDetail";
+    detail.innerHTML = `
+      <select data-k="method">
+        <option value="hydraulic">Hydraulic</option>
+        <option value="manual">Manual rate</option>
+      </select>
+      ${fields.map(([k, label, q]) => `<label>${label} (${unitLabel(q)}) <input data-k="${k}" type="number" min="0" step="any" /></label>`).join("")}
+      <span></span>
+    `;
+
+    const selMethod = detail.querySelector('[data-k="method"]');
+    selMethod.value = hydraulic ? "hydraulic" : "manual";
+    selMethod.addEventListener("change", () => {
+      // Switching to manual starts from the calculated rate (a jet's rate is each, so width 1)
+      if (selMethod.value === "manual") {
+        const calc = featureHydraulics(wf);
+        wf.gpmPerFt = calc.rate;
+        if (!calc.perFt) wf.width = 1;
+      }
+      wf.method = selMethod.value;
+      normalizeWaterFeatures(state);
+      persistAndRecalc();
     });
+
+    for (const [k, , q] of fields) {
+      const input = detail.querySelector(`[data-k="${k}"]`);
+      input.value = inputValue(q, wf[k]);
+      input.addEventListener("change", () => { wf[k] = Math.max(0, readInput(q, input.value, 0)); persistAndRecalc(); });
+    }
+
+    const rate = `${fmtQ(h.perFt ? "flowPerLength" : "flow", h.rate)}${h.perFt ? "" : " each"}`;
+    detail.querySelector("span").textContent = !hydraulic
+      ? "Inlet head: — (manual rate)"
+      : `${rate}${h.angle ? ` @ ${Math.round(h.angle)}°` : ""} · inlet head ${round2(toUnit("head", h.inletHead))} ${unitLabel("head")}`;
+    return detail;
   }
 
   function renderSpa() {
     el.chkSpaMode.checked = !!state.spa.enabled;
     el.selSpaSetup.value = state.spa.setup || "shared";
-    el.inSpaVol.value = state.spa.spaVol ?? "";
+    el.inSpaVol.value = inputValue("volume", state.spa.spaVol ?? "");
+    el.inSpaVol.disabled = !!state.spa.volume?.enabled;
+    el.inSpaVol.title = el.inSpaVol.disabled ? "From the volume builder" : "";
+    renderVolumeBuilder(el.spaVolBuilder, state.spa.volume);
     el.inSpaTurnH.value = state.spa.spaTurnH ?? "";
     el.inSpaJetsQty.value = state.spa.jetsQty ?? 0;
-    el.inGpmPerJet.value = state.spa.gpmPerJet ?? 0;
-    el.inSpaTDH.value = state.spa.spaTDH ?? 50;
+    el.inGpmPerJet.value = inputValue("flow", state.spa.gpmPerJet ?? 0);
+    el.inSpaTDH.value = inputValue("head", state.spa.spaTDH ?? 50);
+    el.inSpillWidth.value = inputValue("length", state.spa.spillWidth ?? 0);
+    el.inSpillRate.value = inputValue("flowPerLength", state.spa.spillRate ?? 0);
+    el.inRate.value = state.energy.rate ?? "";
+  }
+  function renderVolumeBuilder(body, vb) {
+    if (!body || !vb) return;
+    const shape = POOL_SHAPES.find(x => x.id === vb.shape) || POOL_SHAPES[0];
+    const profile = DEPTH_PROFILES.find(x => x.id === vb.profile) || DEPTH_PROFILES[0];
+    const r = builtVolume(vb);
+
+    const field = (k) => {
+      const f = VOLUME_FIELDS[k];
+      const unit = f.kind ? ` (${unitLabel(f.kind)})` : "";
+      return `<div><label>${f.label}${unit}</label><input data-k="${k}" type="number" min="0" step="any" /></div>`;
+    };
+
+    body.innerHTML = `
+      <div class="row" style="gap:8px;margin:8px 0">
+        <input data-k="enabled" type="checkbox" />
+        <span class="small">Use these dimensions for the volume</span>
+      </div>
+      <div class="grid2">
+        <div><label>Shape</label>
+          <select data-k="shape">${POOL_SHAPES.map(x => `<option value="${x.id}">${x.label}</option>`).join("")}</select>
+        </div>
+        <div><label>Depth profile</label>
+          <select data-k="profile">${DEPTH_PROFILES.map(x => `<option value="${x.id}">${x.label}</option>`).join("")}</select>
+        </div>
+        ${shape.fields.map(field).join("")}
+        ${profile.fields.map(field).join("")}
+      </div>
+      <div class="volExtras"></div>
+      <div class="row" style="justify-content:space-between;margin-top:8px">
+        <div class="small">Area ${round1(toUnit("area", r.area))} ${unitLabel("area")} · avg depth ${fmtQ("length", r.avgDepth)} · <b>${fmtQ("volume", r.gallons)}</b></div>
+        <div class="row" style="gap:6px">
+          ${EXTRA_TYPES.map(x => `<button class="btn" data-add="${x.id}">+ ${x.label}</button>`).join("")}
+        </div>
+      </div>
+    `;
+
+    const chk = body.querySelector('[data-k="enabled"]');
+    chk.checked = !!vb.enabled;
+    chk.addEventListener("change", () => { vb.enabled = chk.checked; syncBuiltVolumes(); persistAndRecalc(); });
+
+    for (const k of ["shape", "profile"]) {
+      const sel = body.querySelector(`[data-k="${k}"]`);
+      sel.value = vb[k];
+      sel.addEventListener("change", () => { vb[k] = sel.value; syncBuiltVolumes(); persistAndRecalc(); });
+    }
+
+    for (const k of [...shape.fields, ...profile.fields]) {
+      const kind = VOLUME_FIELDS[k].kind;
+      const inp = body.querySelector(`input[data-k="${k}"]`);
+      inp.value = kind ? inputValue(kind, vb[k]) : (vb[k] ?? "");
+      inp.addEventListener("change", () => {
+        vb[k] = Math.max(0, kind ? readInput(kind, inp.value, 0) : num(inp.value, 0));
+        syncBuiltVolumes();
+        persistAndRecalc();
+      });
+    }
+
+    const list = body.querySelector(".volExtras");
+    (vb.extras || []).forEach((x) => {
+      const row = document.createElement("div");
+      row.className = "volExtraRow";
+      row.innerHTML = `
+        <div><select data-k="type">${EXTRA_TYPES.map(t => `<option value="${t.id}">${t.label}</option>`).join("")}</select></div>
+        <div><label>Length (${unitLabel("length")})</label><input data-k="length" type="number" min="0" step="any" /></div>
+        <div><label>Width (${unitLabel("length")})</label><input data-k="width" type="number" min="0" step="any" /></div>
+        <div><label>Water depth (${unitLabel("length")})</label><input data-k="depth" type="number" min="0" step="any" /></div>
+        <div style="display:flex;justify-content:flex-end;align-items:end"><button class="xbtn" data-act="rm">✕</button></div>
+      `;
+      const selType = row.querySelector('[data-k="type"]');
+      selType.value = x.type;
+      selType.addEventListener("change", () => { x.type = selType.value; persistAndRecalc(); });
+      for (const k of ["length", "width", "depth"]) {
+        const inp = row.querySelector(`[data-k="${k}"]`);
+        inp.value = inputValue("length", x[k]);
+        inp.addEventListener("change", () => { x[k] = Math.max(0, readInput("length", inp.value, 0)); syncBuiltVolumes(); persistAndRecalc(); });
+      }
+      row.querySelector('[data-act="rm"]').addEventListener("click", () => {
+        vb.extras = vb.extras.filter(e => e !== x);
+        syncBuiltVolumes();
+        persistAndRecalc();
+      });
+      list.appendChild(row);
+    });
+
+    $$("[data-add]", body).forEach((b) => b.addEventListener("click", () => {
+      const type = b.dataset.add;
+      vb.extras = vb.extras || [];
+      // Typical sizes: 18 in deep seat, 10 in deep tanning ledge
+      vb.extras.push(type === "shelf"
+        ? { id: safeId(), type, length: 10, width: 8, depth: 0.83 }
+        : { id: safeId(), type, length: 6, width: 1.5, depth: 1.5 });
+      syncBuiltVolumes();
+      persistAndRecalc();
+    }));
   }
 
+
   function renderEngineeringInputs() {
-    el.inEqDist.value = state.engineering.eqDist ?? "";
-    el.inFitAllow.value = state.engineering.fitAllow ?? 60;
+    el.inEqDist.value = inputValue("length", state.engineering.eqDist ?? "");
+    el.selPipeIn.innerHTML = PIPE_SIZES_IN.map(d => `<option value="${d}">${pipeLabel(d)}</option>`).join("");
     el.selPipeIn.value = String(state.engineering.pipeIn ?? 2.5);
-    el.inElev.value = state.engineering.elev ?? "";
-    el.inEquipHead.value = state.engineering.equipHead ?? 10;
+    el.inElev.value = inputValue("length", state.engineering.elev ?? "");
     el.inC.value = state.engineering.C ?? 140;
+    el.inVelSuction.value = inputValue("velocity", state.engineering.velSuctionMax ?? 6);
+    el.selCurveModel.value = state.engineering.curveModel === "linear" ? "linear" : "fit";
+    el.inExtrapolate.value = state.engineering.extrapolatePct ?? 10;
+    el.inVelReturn.value = inputValue("velocity", state.engineering.velReturnMax ?? 8);
+
+    const hasSegs = (state.engineering.segments || []).length > 0;
+    el.inEqDist.disabled = hasSegs;
+    el.inEqDist.title = hasSegs ? "Not used while pipe segments are listed below" : "";
+    renderSegments();
   }
 
-  function renderSummary() {
-    const pool = round1(poolTurnoverFlow());
-    const wf = round1(waterFeaturesFlow());
-    const poolTotal = round1(poolModeRequiredTotal());
+  function renderSegments() {
+    el.segList.innerHTML = "";
+    const scope = el.selApplyTDH?.value || "all";
+    const system = systemForScope(scope);
+    const flow = estimateFlowByScope(scope);
+    const h = systemHeadAtFlow(flow, system);
+    const byId = new Map(h.segments.map(r => [r.seg.id, r]));
 
-    el.outPoolTurn.textContent = `${pool} GPM`;
-    el.outWFFlow.textContent = `${wf} GPM`;
-    el.outPoolReq.textContent = `${poolTotal} GPM`;
+    (state.engineering.segments || []).forEach((seg) => {
+      const r = byId.get(seg.id);
+      const out = !r
+        ? `— (not in ${system})`
+        : `${fmtQ("head", r.friction)} @ ${fmtQ("flow", r.gpm)}${r.counted ? "" : " (parallel, not critical)"}`;
 
-    const sJets = round1(spaJetsFlow());
-    const sTurn = round1(spaTurnoverFlow());
-    const sReq = round1(spaRequiredFlow());
+      const row = document.createElement("div");
+      row.className = "segRow";
+      row.innerHTML = `
+        <div><label>Name</label><input data-k="name" type="text" /></div>
+        <div><label>Side</label>
+          <select data-k="side">${PIPE_SIDES.map(x => `<option value="${x.id}">${x.label}</option>`).join("")}</select>
+        </div>
+        <div><label>Serves</label>
+          <select data-k="serves">${SEGMENT_SERVES.map(x => `<option value="${x.id}">${x.label}</option>`).join("")}</select>
+        </div>
+        <div><label>Branch (parallel)</label><input data-k="branch" type="text" placeholder="trunk" /></div>
+        <div style="display:flex;justify-content:flex-end;align-items:end"><button class="xbtn" data-act="rm">✕</button></div>
+        <div><label>Size</label>
+          <select data-k="sizeIn">${PIPE_SIZES_IN.map(d => `<option value="${d}">${pipeLabel(d)}</option>`).join("")}</select>
+        </div>
+        <div><label>Length (${unitLabel("length")})</label><input data-k="length" type="number" min="0" step="1" /></div>
+        <div><label>Flow (%)</label><input data-k="flowPct" type="number" min="0" max="100" step="5" /></div>
+        <div style="grid-column:span 2"><label>Friction</label><div class="small" style="padding:10px 0">${out}</div></div>
+      `;
 
-    el.outSpaJets.textContent = `${sJets} GPM`;
-    el.outSpaTurn.textContent = `${sTurn} GPM`;
-    el.outSpaReq.textContent = `${sReq} GPM`;
+      const bindField = (k, read) => {
+        const f = row.querySelector(`[data-k="${k}"]`);
+        f.value = seg[k] ?? "";
+        f.addEventListener("change", () => { seg[k] = read(f.value); persistAndRecalc(); });
+      };
+      bindField("name", v => v);
+      bindField("side", v => v);
+      bindField("serves", v => v);
+      bindField("branch", v => v.trim());
+      bindField("sizeIn", v => num(v, 2));
+      bindField("length", v => Math.max(0, readInput("length", v, 0)));
+      bindField("flowPct", v => clamp(num(v, 100), 0, 100));
+      row.querySelector('[data-k="sizeIn"]').value = String(seg.sizeIn ?? 2);
+      row.querySelector('[data-k="length"]').value = inputValue("length", seg.length ?? "");
+
+      row.querySelector('button[data-act="rm"]').addEventListener("click", () => {
+        state.engineering.segments = state.engineering.segments.filter(x => x.id !== seg.id);
+        persistAndRecalc();
+      });
 
-    el.outPoolNeedLine.textContent =
-      hasWaterPumps()
-        ? `Required: ${poolTotal} GPM (Pool ${pool} + Water ${wf}, allocated)`
-        : `Required: ${poolTotal} GPM (Shared)`;
+      el.segList.appendChild(row);
+    });
 
-    el.outSpaNeedLine.textContent = state.spa.enabled
-      ? `Required: ${sReq} GPM @ ${round1(num(state.spa.spaTDH, 50))} ft`
-      : `Required: —`;
+    renderFittings(h);
+    renderEquipment(h);
+    renderVelocity();
 
-    const H = computeSystemHealth();
-    const poolPass =
-      (H.Shared.pass || H.Pool.pass || H.Water.pass) &&
-      (!hasWaterPumps() ? true : (H.Water.pass && (H.Shared.pass || H.Pool.pass)));
-
-    setBadge(el.badgePoolMode, poolPass ? "PASS" : "FAIL", poolPass ? "pass" : "fail");
-
-    if (!state.spa.enabled) setBadge(el.badgeSpaMode, "—", "close");
-    else {
-      let spaOk = false;
-      const spaTDH = num(state.spa.spaTDH, 50);
-      const spaReq2 = spaRequiredFlow();
-
-      if (state.spa.setup === "shared") {
-        const sharedPumps = state.pumps.filter(p => p.system === "Shared");
-        let cap = 0;
-        let hardFail = false;
-        for (const p of sharedPumps) {
-          const c = bestCapacityAtTDH({ ...p, tdh: spaTDH });
-          if (!c.ok) { hardFail = true; continue; }
-          cap += c.capTotal;
-        }
-        spaOk = sharedPumps.length > 0 && !hardFail && cap >= spaReq2;
-      } else {
-        const spaPumps = state.pumps.filter(p => p.system === "Spa");
-        let cap = 0;
-        let hardFail = false;
-        for (const p of spaPumps) {
-          const c = bestCapacityAtTDH({ ...p, tdh: spaTDH });
-          if (!c.ok) { hardFail = true; continue; }
-          cap += c.capTotal;
-        }
-        spaOk = spaPumps.length > 0 && !hardFail && cap >= spaReq2;
+    if (!systemCurveActive()) {
+      el.outSegBreakdown.textContent = "";
+      return;
+    }
+    const side = (id) => fmtQ("head", h.segments.filter(r => r.counted && (r.seg.side || "return") === id).reduce((a, r) => a + r.pipe, 0));
+    const pipeText = h.segments.length
+      ? `suction pipe ${side("suction")} + return pipe ${side("return")}`
+      : `pipe ${fmtQ("head", h.friction - h.fittingsLoss)}`;
+    el.outSegBreakdown.textContent =
+      `@ ${fmtQ("flow", flow)} (${system}): ${pipeText}` +
+      ` + fittings ${fmtQ("head", h.fittingsLoss)}` +
+      (h.branch
+        ? ` + critical branch ${fmtQ("head", h.staticHead)} (${h.branch.wf.type}: elevation ${fmtQ("head", h.branch.elev)} + residual ${fmtQ("head", h.branch.residual)} + branch pipe ${fmtQ("head", h.branch.friction)})`
+        : ` + elevation ${fmtQ("head", h.elev)}`) +
+      ` + equipment ${fmtQ("head", h.equipHead)} = ${fmtQ("head", h.tdh)}`;
+  }
+
+  function renderVelocity() {
+    const rows = velocityChecks();
+    el.outVelocity.innerHTML = rows.map((r) => {
+      const fix = r.ok
+        ? ""
+        : (r.recommend ? ` → use ${pipeLabel(r.recommend)}` : ` → larger than ${pipeLabel(PIPE_SIZES_IN[PIPE_SIZES_IN.length - 1])}`);
+      return `<div class="statLine"><span>${escapeHtml(r.name)} · ${escapeHtml(r.label)} (${pipeLabel(r.sizeIn)}, ${fmtQ("flow", r.gpm)})</span>` +
+        `<b class="${r.ok ? "" : "velBad"}">${fmtQ("velocity", r.v)} ${r.ok ? "✓" : "✗"} (max ${round1(toUnit("velocity", r.limit))})${fix}</b></div>`;
+    }).join("");
+    el.outVelocity.style.display = rows.length ? "" : "none";
+  }
+
+  function lossTableText(table) {
+    return pointsToDisplayText((table || []).map(p => ({ gpm: p.gpm, tdh: p.ft })));
+  }
+
+  function renderEquipment(h) {
+    el.equipList.innerHTML = "";
+    const lossById = new Map(h.equipment.map(r => [r.item.id, r.loss]));
+
+    (state.engineering.equipment || []).forEach((item) => {
+      const loss = lossById.get(item.id);
+      const row = document.createElement("div");
+      row.className = "equipRow";
+      row.innerHTML = `
+        <div><label>Equipment</label>
+          <select data-k="type">${EQUIPMENT_LIBRARY.map(x => `<option value="${x.id}">${x.label}</option>`).join("")}</select>
+        </div>
+        <div><label>Name / model</label><input data-k="name" type="text" /></div>
+        <div><label>Serves</label>
+          <select data-k="serves">${SEGMENT_SERVES.map(x => `<option value="${x.id}">${x.label}</option>`).join("")}</select>
+        </div>
+        <div><label>Loss</label><div class="small" style="padding:10px 0">${loss === undefined ? "— (not in this system)" : `${fmtQ("head", loss)}`}</div></div>
+        <div style="display:flex;justify-content:flex-end;align-items:end"><button class="xbtn" data-act="rm">✕</button></div>
+        <details style="grid-column:1 / -1">
+          <summary class="small">Head-loss table (${unitLabel("flow")},${unitLabel("head")} per line)</summary>
+          <textarea data-k="table" spellcheck="false" style="margin-top:6px">${lossTableText(item.table)}</textarea>
+        </details>
+      `;
+
+      const selType = row.querySelector('[data-k="type"]');
+      const inName = row.querySelector('[data-k="name"]');
+      const selServes = row.querySelector('[data-k="serves"]');
+      const taTable = row.querySelector('[data-k="table"]');
+
+      selType.value = item.type;
+      inName.value = item.name ?? "";
+      selServes.value = item.serves || "All";
+
+      // Switching type loads that type's bundled table
+      selType.addEventListener("change", () => {
+        const fresh = newEquipment(selType.value);
+        item.type = fresh.type;
+        item.name = fresh.name;
+        item.table = fresh.table;
+        persistAndRecalc();
+      });
+      inName.addEventListener("change", () => { item.name = inName.value; persistAndRecalc(); });
+      selServes.addEventListener("change", () => { item.serves = selServes.value; persistAndRecalc(); });
+      taTable.addEventListener("change", () => {
+        item.table = parseDisplayPoints(taTable.value).map(p => ({ gpm: p.gpm, ft: p.tdh }));
+        persistAndRecalc();
+      });
+      row.querySelector('button[data-act="rm"]').addEventListener("click", () => {
+        state.engineering.equipment = state.engineering.equipment.filter(x => x.id !== item.id);
+        persistAndRecalc();
+      });
+
+      el.equipList.appendChild(row);
+    });
+  }
+
+  function renderFittings(h) {
+    el.fitList.innerHTML = "";
+    const C = clamp(num(state.engineering.C, 140), 80, 160);
+    const segs = state.engineering.segments || [];
+    const rowsByFit = new Map(h.fittingRows.map(r => [r.fit, r]));
+
+    (state.engineering.fittings || []).forEach((fit) => {
+      const seg = segs.find(x => x.id === fit.segId);
+      const r = rowsByFit.get(fit);
+      let out = "—";
+      if (r && r.gpm > 0) {
+        const perFt = hazenWilliams(1, r.gpm, r.d, C);
+        const eqFt = perFt > 0 ? r.loss / perFt : 0;
+        out = `${fmtQ("head", r.loss)} (${Math.round(toUnit("length", eqFt))} eq. ${unitLabel("length")})${r.counted === false ? " *" : ""}`;
       }
-      setBadge(el.badgeSpaMode, spaOk ? "PASS" : "FAIL", spaOk ? "pass" : "fail");
+
+      const row = document.createElement("div");
+      row.className = "fitRow";
+      row.innerHTML = `
+        <div><select data-k="type">${FITTING_TYPES.map(t => `<option value="${t.id}">${t.label}</option>`).join("")}</select></div>
+        <div><select data-k="sizeIn">${PIPE_SIZES_IN.map(d => `<option value="${d}">${pipeLabel(d)}</option>`).join("")}</select></div>
+        <div><input data-k="qty" type="number" min="0" step="1" /></div>
+        <div><select data-k="segId"><option value="">Main run</option>${segs.map(x => `<option value="${escapeHtml(x.id)}">${escapeHtml(x.name || "Segment")}</option>`).join("")}</select></div>
+        <div class="small" style="text-align:right">${out}</div>
+        <div style="display:flex;justify-content:flex-end"><button class="xbtn" data-act="rm">✕</button></div>
+      `;
+
+      const selType = row.querySelector('[data-k="type"]');
+      const selSize = row.querySelector('[data-k="sizeIn"]');
+      const inQty = row.querySelector('[data-k="qty"]');
+      const selSeg = row.querySelector('[data-k="segId"]');
+
+      selType.value = fit.type;
+      selSize.value = String(seg ? seg.sizeIn : (fit.sizeIn ?? 2.5));
+      inQty.value = fit.qty ?? 0;
+      selSeg.value = seg ? seg.id : "";
+
+      // On a segment the fitting takes that segment's size
+      selSize.disabled = !!seg;
+      if (seg) selSize.title = "Size follows the pipe segment";
+
+      selType.addEventListener("change", () => { fit.type = selType.value; persistAndRecalc(); });
+      selSize.addEventListener("change", () => { fit.sizeIn = num(selSize.value, 2.5); persistAndRecalc(); });
+      inQty.addEventListener("change", () => { fit.qty = Math.max(0, Math.round(num(inQty.value, 0))); persistAndRecalc(); });
+      selSeg.addEventListener("change", () => { fit.segId = selSeg.value; persistAndRecalc(); });
+      row.querySelector('button[data-act="rm"]').addEventListener("click", () => {
+        state.engineering.fittings = state.engineering.fittings.filter(x => x.id !== fit.id);
+        persistAndRecalc();
+      });
+
+      el.fitList.appendChild(row);
+    });
+
+    el.outFitTotal.textContent = h.fittingRows.length
+      ? `Fittings: ${fmtQ("head", h.fittingsLoss)} at the current flow${h.fittingRows.some(r => r.counted === false) ? " (* on a non-critical parallel branch)" : ""}`
+      : "";
+  }
+
+  function addSegment() {
+    const e = state.engineering;
+    e.segments = e.segments || [];
+    const sizeIn = num(e.pipeIn, 2.5);
+    if (!e.segments.length) {
+      // Start from the single-run model so the estimate doesn't jump
+      const run = num(e.eqDist, 0) || 50;
+      e.segments.push(
+        { id: safeId(), name: "Suction main", side: "suction", serves: "All", branch: "", sizeIn, length: run, flowPct: 100 },
+        { id: safeId(), name: "Return main", side: "return", serves: "All", branch: "", sizeIn, length: run, flowPct: 100 },
+      );
+    } else {
+      e.segments.push({ id: safeId(), name: `Segment ${e.segments.length + 1}`, side: "return", serves: "All", branch: "", sizeIn, length: 20, flowPct: 100 });
     }
+    persistAndRecalc();
+  }
+
+  function renderModes() {
+    const results = evaluateModes();
+    const worst = worstMode(results);
+    el.modeList.innerHTML = "";
+
+    results.forEach((r) => {
+      const m = r.mode;
+      const card = document.createElement("div");
+      card.className = "modeCard" + (r === worst && results.length > 1 ? " worst" : "");
+
+      const need = !r.active
+        ? "Required: —"
+        : r.groups.map(g => `${g.system} ${fmtQ("flow", g.req)} @ ${fmtQ("head", g.headFn(g.req))}${g.pumps.length ? "" : " (no pumps)"}`).join(" · ");
+      const featureBoxes = state.waterFeatures.map((wf, i) => `
+        <label class="small" style="display:inline-flex;gap:4px;align-items:center;margin-right:8px">
+          <input type="checkbox" data-f="${escapeHtml(wf.id)}" ${modeHasFeature(m, wf) ? "checked" : ""} ${m.features === "all" ? "disabled" : ""} />${wf.type} ${i + 1}
+        </label>`).join("");
+
+      card.innerHTML = `
+        <div class="modeHead">
+          <input data-k="name" type="text" />
+          <span class="badge"></span>
+          <button class="xbtn" data-act="rm">✕</button>
+        </div>
+        <div class="small" style="margin-top:6px">${need}</div>
+        <div class="small" style="margin-top:4px" data-k="energy"></div>
+        <div class="small" style="margin-top:4px;color:#ffd0d0" data-k="suction"></div>
+        <details style="margin-top:6px">
+          <summary class="small">Valves</summary>
+          <div class="row" style="gap:8px;margin-top:6px;flex-wrap:wrap">
+            <label class="small" style="display:inline-flex;gap:4px;align-items:center"><input type="checkbox" data-k="pool" />Pool</label>
+            <div>
+              <label>Spa</label>
+              <select data-k="spa">${MODE_SPA_OPTIONS.map(o => `<option value="${o.id}">${o.label}</option>`).join("")}</select>
+            </div>
+            <div>
+              <label>Return path</label>
+              <select data-k="returns">${MODE_RETURNS.map(o => `<option value="${o.id}">${o.label}</option>`).join("")}</select>
+            </div>
+            <div>
+              <label>TDH override (${unitLabel("head")})</label>
+              <input data-k="tdh" type="number" min="0" step="0.5" placeholder="system" />
+            </div>
+            <div>
+              <label>Hours/day</label>
+              <input data-k="hours" type="number" min="0" max="24" step="0.5" />
+            </div>
+          </div>
+          <div style="margin-top:6px">
+            <label class="small" style="display:inline-flex;gap:4px;align-items:center;margin-right:8px"><input type="checkbox" data-k="allFeatures" />All features</label>
+            ${featureBoxes}
+          </div>
+        </details>
+      `;
+
+      const badge = card.querySelector(".badge");
+      if (!r.active) setBadge(badge, "—", "close");
+      else setBadge(badge, r.pass ? "PASS" : "FAIL", r.pass ? "pass" : "fail");
+      card.querySelector('[data-k="energy"]').textContent = r.active ? energyText(modeEnergy(r)) : "Energy: —";
+      card.querySelector('[data-k="suction"]').textContent = r.suction
+        .filter(c => !c.pass).map(c => `⚠ ${c.set.body} suction: ${c.issues.join("; ")}`).join(" · ");
+
+      const q = (k) => card.querySelector(`[data-k="${k}"]`);
+      q("name").value = m.name;
+      q("pool").checked = !!m.pool;
+      q("spa").value = m.spa;
+      q("returns").value = m.returns;
+      q("tdh").value = String(m.tdh ?? "").trim() === "" ? "" : inputValue("head", m.tdh);
+      q("hours").value = m.hours ?? 0;
+      q("allFeatures").checked = m.features === "all";
+
+      q("name").addEventListener("change", () => { m.name = q("name").value.trim() || "Mode"; persistAndRecalc(); });
+      q("pool").addEventListener("change", () => { m.pool = q("pool").checked; persistAndRecalc(); });
+      q("spa").addEventListener("change", () => { m.spa = q("spa").value; persistAndRecalc(); });
+      q("returns").addEventListener("change", () => { m.returns = q("returns").value; persistAndRecalc(); });
+      q("tdh").addEventListener("change", () => {
+        m.tdh = q("tdh").value.trim() === "" ? "" : Math.max(0, readInput("head", q("tdh").value, 0));
+        persistAndRecalc();
+      });
+      q("hours").addEventListener("change", () => { m.hours = clamp(num(q("hours").value, 0), 0, 24); persistAndRecalc(); });
+      q("allFeatures").addEventListener("change", () => {
+        m.features = q("allFeatures").checked ? "all" : state.waterFeatures.map(wf => wf.id);
+        persistAndRecalc();
+      });
+      card.querySelectorAll("[data-f]").forEach((box) => box.addEventListener("change", () => {
+        const ids = state.waterFeatures.filter(wf => modeHasFeature(m, wf)).map(wf => wf.id).filter(id => id !== box.dataset.f);
+        m.features = box.checked ? ids.concat(box.dataset.f) : ids;
+        persistAndRecalc();
+      }));
+      card.querySelector('[data-act="rm"]').addEventListener("click", () => {
+        state.modes = state.modes.filter(x => x !== m);
+        persistAndRecalc();
+      });
+
+      el.modeList.appendChild(card);
+    });
+
+    el.outWorstMode.textContent = worst
+      ? `Worst case: ${worst.mode.name} (margin ${worst.margin >= 0 ? "+" : ""}${round1(worst.margin * 100)}%)${worst.pass ? "" : " — FAIL"}`
+      : "Worst case: — (no mode has flow)";
+  }
+
+  function renderSchedule() {
+    const sched = evaluateSchedule();
+    el.slotList.innerHTML = "";
+    el.inTargetTurnovers.value = state.schedule.targetTurnovers ?? 1;
+
+    sched.slots.forEach((x) => {
+      const slot = x.slot;
+      const row = document.createElement("div");
+      row.className = "schedRow";
+      row.innerHTML = `
+        <div><input data-k="start" type="time" step="900" /></div>
+        <div><input data-k="end" type="time" step="900" /></div>
+        <div>
+          <select data-k="modeId">
+            ${x.mode ? "" : `<option value="">(mode removed)</option>`}
+            ${state.modes.map(m => `<option value="${escapeHtml(m.id)}">${escapeHtml(m.name)}</option>`).join("")}
+          </select>
+        </div>
+        <div><input data-k="rpm" type="number" min="0" step="50" /></div>
+        <div class="small" style="text-align:right"></div>
+        <div style="display:flex;justify-content:flex-end"><button class="xbtn" data-act="rm">✕</button></div>
+      `;
+
+      const q = (k) => row.querySelector(`[data-k="${k}"]`);
+      q("start").value = slot.start;
+      q("end").value = slot.end;
+      q("modeId").value = x.mode ? slot.modeId : "";
+      q("rpm").value = slot.rpm;
+      const out = row.children[4];
+      out.textContent = x.mode ? `${fmtQ("flow", x.gpm)} · ${round2(x.energy.kw)} kW` : "—";
+      if (x.short) {
+        out.style.color = "#ffd0d0";
+        out.title = "Below this mode's design flow at this speed";
+      }
+
+      for (const k of ["start", "end", "modeId"]) {
+        q(k).addEventListener("change", () => { slot[k] = q(k).value; persistAndRecalc(); });
+      }
+      q("rpm").addEventListener("change", () => { slot.rpm = Math.max(0, Math.round(num(q("rpm").value, 0))); persistAndRecalc(); });
+      row.querySelector('[data-act="rm"]').addEventListener("click", () => {
+        state.schedule.slots = state.schedule.slots.filter(s => s !== slot);
+        persistAndRecalc();
+      });
+
+      el.slotList.appendChild(row);
+    });
+
+    const turns = (b) => `${round2(b.turnovers)} (${fmtQ("volume", b.gallons)}/day) ${b.pass ? "✓" : "✗ below " + sched.target}`;
+    const lines = [
+      ["Scheduled run time", `${round1(sched.hours)} h${sched.overbooked ? " ⚠ slots overlap (more than 24 h)" : ""}`],
+      ["Water moved per day", `${fmtQ("volume", sched.gallons)}`],
+      ["Pool turnovers per day", turns(sched.pool)],
+    ];
+    if (state.spa.enabled) lines.push(["Spa turnovers per day", turns(sched.spa)]);
+    sched.features.forEach(({ wf, hours }, i) => lines.push([`${wf.type} ${i + 1} run time`, `${round1(hours)} h/day`]));
+    lines.push(["Schedule energy", `${round1(sched.kwhDay)} kWh/day · $${Math.round(sched.costYear)}/yr${sched.estimated ? " (est.)" : ""}`]);
+
+    el.outSchedule.innerHTML = lines.map(([k, v]) => `<div class="statLine"><span>${k}</span><b></b></div>`).join("");
+    [...el.outSchedule.querySelectorAll("b")].forEach((b, i) => { b.textContent = lines[i][1]; });
+  }
+
+  function renderSummary() {
+    const pool = fmtQ("flow", poolTurnoverFlow());
+    const wf = fmtQ("flow", waterFeaturesFlow());
+    const poolTotal = fmtQ("flow", poolModeRequiredTotal());
+
+    el.outPoolTurn.textContent = pool;
+    el.outWFFlow.textContent = wf;
+    el.outPoolReq.textContent = poolTotal;
+
+    const sReq = fmtQ("flow", spaRequiredFlow());
+
+    el.outSpaJets.textContent = fmtQ("flow", spaJetsFlow());
+    el.outSpaTurn.textContent = fmtQ("flow", spaTurnoverFlow());
+    el.outSpaReq.textContent = sReq;
+
+    renderModes();
+    renderSchedule();
 
     if (el.tdhBadge) {
       const tdh = state.engineering.estimatedTDH;
       const warn = state.engineering.warnText ? ` | ⚠ ${state.engineering.warnText}` : "";
       if (Number.isFinite(tdh)) {
         el.tdhBadge.textContent =
-          `TDH: ${round1(tdh)} ft (friction ${round1(state.engineering.estimatedFriction || 0)} ft, L=${round1(state.engineering.estimatedL || 0)} ft)` + warn;
+          `TDH: ${fmtQ("head", tdh)} (friction ${fmtQ("head", state.engineering.estimatedFriction || 0)} incl. fittings ${fmtQ("head", state.engineering.estimatedFittings || 0)}, pipe L=${fmtQ("length", state.engineering.estimatedL || 0)})` + warn;
       } else {
         el.tdhBadge.textContent = `TDH: —` + warn;
       }
@@ -711,12 +1407,16 @@
     el.pumpsList.innerHTML = "";
     const modelKeys = Object.keys(curves);
     const H = computeSystemHealth();
+    const modeRuns = evaluateModes().filter(r => r.active).map(modeEnergy);
 
     state.pumps.forEach((p, idx) => {
       const qty = Math.max(1, Math.round(num(p.qty, 1)));
       const req = requiredFlowForSystem(p.system);
-      const cap = bestCapacityAtTDH(p);
+      const headFn = headFnForPump(p);
       const sys = H[p.system];
+      const share = sys?.group?.shares.find(x => x.pump === p);
+      const duty = share?.op || null;
+      const maxTDH = maxCurveTDH(p.model);
 
       let badgeText = "—";
       let badgeKind = "close";
@@ -724,7 +1424,7 @@
       if (req <= 0) {
         badgeText = "—";
         badgeKind = "close";
-      } else if (!cap.ok) {
+      } else if (!duty) {
         badgeText = "FAIL";
         badgeKind = "fail";
       } else if (sys && sys.pass) {
@@ -740,7 +1440,7 @@
       row.innerHTML = `
         <div>
           <select data-k="model">
-            ${modelKeys.map(k => `<option value="${k}">${curves[k].modelLabel || k}</option>`).join("")}
+            ${modelKeys.map(k => `<option value="${escapeHtml(k)}">${escapeHtml(curves[k].modelLabel || k)}</option>`).join("")}
           </select>
         </div>
         <div><input data-k="qty" type="number" min="1" step="1" /></div>
@@ -752,6 +1452,12 @@
             <option value="Shared">Shared</option>
           </select>
         </div>
+        <div>
+          <select data-k="arrangement">
+            <option value="parallel">Parallel</option>
+            <option value="series">Series (booster)</option>
+          </select>
+        </div>
         <div><input data-k="tdh" type="number" min="0" step="0.5" /></div>
         <div style="display:flex;gap:8px;align-items:center;justify-content:flex-end">
           <span class="badge ${badgeKind}">${badgeText}</span>
@@ -762,18 +1468,28 @@
       const selModel = row.querySelector('select[data-k="model"]');
       const inQty = row.querySelector('input[data-k="qty"]');
       const selSys = row.querySelector('select[data-k="system"]');
+      const selArr = row.querySelector('select[data-k="arrangement"]');
       const inTDH = row.querySelector('input[data-k="tdh"]');
       const btnRm = row.querySelector('button[data-act="rm"]');
 
       selModel.value = p.model;
       inQty.value = qty;
       selSys.value = p.system;
-      inTDH.value = p.tdh;
+      selArr.value = isSeries(p) ? "series" : "parallel";
+      inTDH.value = inputValue("head", p.tdh);
+
+      // With a system curve the TDH is where the pump settles, not an input
+      if (systemCurveActive()) {
+        inTDH.disabled = true;
+        inTDH.value = duty ? round1(toUnit("head", duty.tdh)) : "";
+        inTDH.title = "Duty-point TDH from the system curve (Engineering Inputs)";
+      }
 
       selModel.addEventListener("change", () => { p.model = selModel.value; state.ui.selectedPumpIndex = idx; persistAndRecalc(); });
       inQty.addEventListener("input", () => { p.qty = Math.max(1, Math.round(num(inQty.value, 1))); persistAndRecalc(); });
       selSys.addEventListener("change", () => { p.system = selSys.value; persistAndRecalc(); });
-      inTDH.addEventListener("input", () => { p.tdh = num(inTDH.value, 0); persistAndRecalc(); });
+      selArr.addEventListener("change", () => { p.arrangement = selArr.value; persistAndRecalc(); });
+      inTDH.addEventListener("input", () => { p.tdh = Math.max(0, readInput("head", inTDH.value, 0)); persistAndRecalc(); });
 
       btnRm.addEventListener("click", () => {
         state.pumps = state.pumps.filter(x => x.id !== p.id);
@@ -792,14 +1508,16 @@
 
       if (req <= 0) {
         extra.textContent = "No requirement for this system (Req 0).";
-      } else if (!cap.ok) {
-        const maxT = cap.maxTDH ? round1(cap.maxTDH) : "—";
-        extra.textContent = `FAIL: Pump can't run at TDH ${round1(num(p.tdh,0))} ft (max curve TDH ${maxT}).`;
+      } else if (!duty) {
+        const maxT = maxTDH ? fmtQ("head", maxTDH) : "—";
+        extra.textContent = `FAIL: Pump can't run at TDH ${fmtQ("head", headFn(0))} (max curve TDH ${maxT}).`;
       } else {
-        const best = cap.best;
         const sysText = sys ? sys.summaryText : "";
+        const speedText = sys?.speed ? ` | Min speed ${sys.speed.rpm} RPM` : "";
+        const run = modeRuns.flatMap(e => e.pumps).find(x => x.pump === p && x.kw > 0);
+        const kwText = run ? ` | ${round2(run.kw)} kW @ ${num(run.line.rpm, 0)} RPM${run.estimated ? " (est.)" : ""}` : "";
         extra.textContent =
-          `Req ${round1(req)} GPM | Pump Cap ${round1(cap.capTotal)} GPM @ ${best.line.label || (best.line.rpm+" RPM")} (Qty ${qty}) | System: ${sysText}`;
+          `Req ${fmtQ("flow", req)} | Duty ${fmtQ("flow", duty.gpm)} @ ${fmtQ("head", duty.tdh)}, ${share.line.label || (share.line.rpm+" RPM")} (Qty ${qty}${isSeries(p) ? ", series" : ""})${duty.extrapolated ? " (extrapolated past curve data)" : ""} | System: ${sysText}${speedText}${kwText}`;
       }
 
       el.pumpsList.appendChild(row);
@@ -807,6 +1525,143 @@
     });
   }
 
+  function renderSpeedPlan() {
+    if (!el.outSpeedPlan) return;
+    const rows = activeRequirements().map((r) => {
+      const speed = r.spaMode ? minSpeedForSpaMode() : minSpeedForSystem(r.system);
+      const val = speed
+        ? `${speed.rpm} RPM (${fmtQ("flow", speed.gpm)} @ ${fmtQ("head", speed.tdh)})`
+        : "Not reachable at top speed";
+      return `<div class="statLine"><span>${r.name} — min speed</span><b>${val}</b></div>`;
+    });
+    el.outSpeedPlan.innerHTML = rows.join("");
+    el.outSpeedPlan.style.display = rows.length ? "" : "none";
+  }
+
+  function renderFilter() {
+    const f = state.filter;
+    el.chkFilter.checked = !!f.enabled;
+    el.selFilterModel.innerHTML = FILTER_LIBRARY.map(x => `<option value="${x.id}">${x.label}</option>`).join("") + `<option value="custom">Custom</option>`;
+    el.selFilterType.innerHTML = FILTER_TYPES.map(x => `<option value="${x.id}">${x.label}</option>`).join("");
+    el.selFilterServes.innerHTML = SEGMENT_SERVES.map(x => `<option value="${x.id}">${x.id === "All" ? "All pumps" : x.label}</option>`).join("");
+    el.selFilterModel.value = f.model;
+    el.selFilterType.value = f.type;
+    el.selFilterUse.value = f.use;
+    el.selFilterServes.value = f.serves || "All";
+    el.inFilterArea.value = inputValue("area", f.area);
+    el.inFilterRated.value = inputValue("flow", f.rated);
+    // A library model fixes type, area and rating
+    const custom = f.model === "custom";
+    for (const input of [el.selFilterType, el.inFilterArea, el.inFilterRated]) input.disabled = !custom;
+
+    if (!f.enabled) {
+      el.outFilter.innerHTML = `<div class="small">Filter check off.</div>`;
+      return;
+    }
+    const checks = filterChecks();
+    const max = filterMaxRate();
+    // Rates are small numbers: two decimals
+    const rateText = (v) => `${Number.isFinite(v) ? round2(toUnit("flowPerArea", v)) : "∞"} ${unitLabel("flowPerArea")}`;
+    const head = `<div class="statLine"><span>${filterType().label}, ${f.use === "commercial" ? "commercial" : "residential"} maximum</span><b>${rateText(max)}</b></div>`;
+    const rows = checks.map((c) => {
+      const warn = c.overRated ? ` ⚠ above the ${fmtQ("flow", c.rated)} rating` : "";
+      return `<div class="statLine"><span>${escapeHtml(c.result.mode.name)} — ${fmtQ("flow", c.gpm)} through filter</span>` +
+        `<b class="${c.pass ? "" : "velBad"}">${rateText(c.rate)} ${c.rateOk ? "✓" : "✗"}${warn}</b></div>`;
+    });
+    el.outFilter.innerHTML = head + (rows.length ? rows.join("") : `<div class="small">No mode has flow.</div>`);
+  }
+
+  function renderSuction() {
+    el.suctionList.innerHTML = "";
+    const sets = (state.suction || []).filter(set => set.body !== "Spa" || state.spa.enabled);
+    for (const set of sets) {
+      const box = document.createElement("div");
+      box.innerHTML = `
+        <div class="row" style="gap:8px;align-items:center;margin-top:8px">
+          <b>${set.body}</b>
+          <input data-k="enabled" type="checkbox" />
+        </div>
+        <div class="suctionGrid">
+          <div><label>Main drains</label><input data-k="drains" type="number" min="0" step="1" /></div>
+          <div><label>Cover rated (${unitLabel("flow")})</label><input data-k="coverRated" type="number" min="0" step="1" /></div>
+          <div><label>Separation (${unitLabel("size")})</label><input data-k="separationIn" type="number" min="0" step="1" /></div>
+          <div><label>Skimmers</label><input data-k="skimmers" type="number" min="0" step="1" /></div>
+          <div><label>Drain pipe</label><select data-k="drainPipeIn">${PIPE_SIZES_IN.map(d => `<option value="${d}">${pipeLabel(d)}</option>`).join("")}</select></div>
+          <div><label>Suction header</label><select data-k="headerIn">${PIPE_SIZES_IN.map(d => `<option value="${d}">${pipeLabel(d)}</option>`).join("")}</select></div>
+          <div style="grid-column:span 2"><label class="small" style="display:inline-flex;gap:6px;align-items:center"><input data-k="unblockable" type="checkbox" />Unblockable cover / SVRS</label></div>
+        </div>
+      `;
+      const q = (k) => box.querySelector(`[data-k="${k}"]`);
+      q("enabled").checked = !!set.enabled;
+      q("unblockable").checked = !!set.unblockable;
+      q("drains").value = set.drains;
+      q("coverRated").value = inputValue("flow", set.coverRated);
+      q("separationIn").value = inputValue("size", set.separationIn);
+      q("skimmers").value = set.skimmers;
+      q("drainPipeIn").value = String(set.drainPipeIn);
+      q("headerIn").value = String(set.headerIn);
+
+      for (const k of ["enabled", "unblockable"]) q(k).addEventListener("change", () => { set[k] = q(k).checked; persistAndRecalc(); });
+      for (const k of ["drains", "skimmers"]) q(k).addEventListener("change", () => { set[k] = Math.max(0, Math.round(num(q(k).value, 0))); persistAndRecalc(); });
+      for (const k of ["drainPipeIn", "headerIn"]) q(k).addEventListener("change", () => { set[k] = num(q(k).value, 2); persistAndRecalc(); });
+      q("coverRated").addEventListener("change", () => { set.coverRated = Math.max(0, readInput("flow", q("coverRated").value, 0)); persistAndRecalc(); });
+      q("separationIn").addEventListener("change", () => { set.separationIn = Math.max(0, readInput("size", q("separationIn").value, 0)); persistAndRecalc(); });
+      el.suctionList.appendChild(box);
+    }
+
+    const rows = evaluateModes().filter(r => r.active).flatMap(r => r.suction.map((c) => {
+      const blocked = c.outlets >= 2 ? "one drain blocked" : "single outlet";
+      const val = c.pass
+        ? `${fmtQ("flow", c.perCover)} per cover ≤ ${fmtQ("flow", c.rated)} ✓`
+        : `✗ ${c.issues.join("; ")}`;
+      return `<div class="statLine"><span>${escapeHtml(r.mode.name)} — ${c.set.body} ${fmtQ("flow", c.gpm)} (${blocked})</span><b class="${c.pass ? "" : "velBad"}">${val}</b></div>`;
+    }));
+    el.outSuction.innerHTML = rows.length ? rows.join("") : `<div class="small">No mode draws through a checked outlet set.</div>`;
+  }
+
+  function renderRecommendations() {
+    if (!el.recommendPanel) return;
+    el.recommendPanel.style.display = state.ui.recommendOpen ? "" : "none";
+    if (!state.ui.recommendOpen) return;
+    el.selRecommendSort.value = state.ui.recommendSort || "energy";
+
+    const results = recommendPumps(el.selRecommendSort.value);
+    if (!results.length) {
+      el.outRecommend.innerHTML = `<div class="small">Nothing to size yet: assign a pump row to a system with a flow requirement.</div>`;
+      return;
+    }
+
+    el.outRecommend.innerHTML = "";
+    for (const r of results) {
+      const head = document.createElement("div");
+      head.className = "statLine";
+      head.innerHTML = `<span>${r.name} — Req ${fmtQ("flow", r.req)}</span><b>${r.shortlist.length} of ${r.tried} pass</b>`;
+      el.outRecommend.appendChild(head);
+
+      if (!r.shortlist.length) {
+        const none = document.createElement("div");
+        none.className = "small";
+        none.textContent = `No catalog model reaches ${fmtQ("flow", r.req)} with up to ${RECOMMEND_MAX_QTY} pumps.`;
+        el.outRecommend.appendChild(none);
+        continue;
+      }
+
+      r.shortlist.forEach((c, i) => {
+        const row = document.createElement("div");
+        row.className = "recRow";
+        row.innerHTML = `
+          <div><b>${i + 1}.</b> ${escapeHtml(curves[c.model]?.modelLabel || c.model)}${c.qty > 1 ? ` ×${c.qty}` : ""}</div>
+          <div>${fmtQ("flow", c.cap)} (+${Math.round(c.margin * 100)}%)${c.extrapolated ? " *" : ""}</div>
+          <div>${c.rpm} RPM</div>
+          <div>${round2(c.kw)} kW · $${Math.round(c.costYear)}/yr${c.estimated ? " (est.)" : ""}</div>
+          <div style="display:flex;justify-content:flex-end"><button class="btn" data-act="apply">Apply</button></div>
+        `;
+        row.querySelector('button[data-act="apply"]').addEventListener("click", () => applyRecommendation(r.system, c.model, c.qty));
+        el.outRecommend.appendChild(row);
+      });
+    }
+  }
+
   /* -----------------------------
      Curve Viewer (Canvas)
   ----------------------------- */
@@ -815,7 +1670,8 @@
     ctx.clearRect(0, 0, el.canvas.width, el.canvas.height);
   }
 
-  function drawAxes(bounds) {
+  // Grid with tick values in display units (maxG/maxT are US: GPM / ft)
+  function drawAxes(bounds, maxG, maxT) {
     const { left, top, w, h } = bounds;
     ctx.save();
     ctx.strokeStyle = "rgba(255,255,255,0.10)";
@@ -831,12 +1687,25 @@
       const y = top + (h * i) / yGrid;
       ctx.beginPath(); ctx.moveTo(left, y); ctx.lineTo(left + w, y); ctx.stroke();
     }
+
+    ctx.fillStyle = "rgba(255,255,255,0.55)";
+    ctx.font = "11px system-ui";
+    const tick = (v) => String(v >= 100 ? Math.round(v) : round1(v));
+    for (let i = 0; i <= xGrid; i++) {
+      ctx.fillText(tick(toUnit("flow", (maxG * i) / xGrid)), left + (w * i) / xGrid - 8, top + h + 14);
+    }
+    for (let i = 0; i <= yGrid; i++) {
+      ctx.fillText(tick(toUnit("head", (maxT * i) / yGrid)), 6, top + h - (h * i) / yGrid + 4);
+    }
+    ctx.fillText(`Flow (${unitLabel("flow")})`, left + w - 70, top + h + 28);
+    ctx.fillText(`Head (${unitLabel("head")})`, left + 6, top + 12);
     ctx.restore();
   }
 
   function renderCurveViewer() {
     if (!ctx || !el.canvas) return;
     clearCanvas();
+    if (el.outDutyPoints) el.outDutyPoints.textContent = "";
 
     const pump = state.pumps[state.ui.selectedPumpIndex] || state.pumps[0];
     if (!pump) return;
@@ -844,9 +1713,21 @@
     const model = curves[pump.model];
     if (!model || !model.rpmLines?.length) return;
 
+    const qty = Math.max(1, Math.round(num(pump.qty, 1)));
+    const headFn = headFnForPump(pump);
+    const cap = bestCapacityAtTDH(pump, headFn);
+    const req = requiredFlowForSystem(pump.system);
+
+    // Other rows on the same system run as one group; show the combined curve too
+    const sysPumps = state.pumps.filter(p => p.system === pump.system);
+    const group = sysPumps.length > 1 ? groupDuty(sysPumps, headFnForSystem(pump.system, sysPumps), null) : null;
+    const groupPts = group?.curve?.points || [];
+
+    // Curves are drawn for the whole row (Qty pumps side by side) so duty points sit on them
     const allPts = model.rpmLines.flatMap(l => l.points || []);
-    const maxG = Math.max(10, ...allPts.map(p => p.gpm));
-    const maxT = Math.max(10, ...allPts.map(p => p.tdh));
+    const ends = model.rpmLines.filter(l => (l.points || []).length >= 2).map(l => curveEnd(l.points) * qty);
+    const maxG = Math.max(10, ...ends, ...groupPts.map(p => p.gpm), req * 1.1);
+    const maxT = Math.max(10, ...allPts.map(p => p.tdh), ...groupPts.map(p => p.tdh), headFn(0) * 1.1);
 
     const padL = 46, padR = 16, padT = 18, padB = 34;
     const bounds = { left: padL, top: padT, w: el.canvas.width - padL - padR, h: el.canvas.height - padT - padB };
@@ -854,12 +1735,12 @@
     const xToPx = (gpm) => bounds.left + (clamp(gpm, 0, maxG) / maxG) * bounds.w;
     const yToPx = (tdh) => bounds.top + bounds.h - (clamp(tdh, 0, maxT) / maxT) * bounds.h;
 
-    drawAxes(bounds);
+    drawAxes(bounds, maxG, maxT);
 
     ctx.save();
     ctx.fillStyle = "rgba(255,255,255,0.9)";
     ctx.font = "bold 14px system-ui";
-    ctx.fillText(model.modelLabel || pump.model, 16, 16);
+    ctx.fillText((model.modelLabel || pump.model) + (qty > 1 ? ` ×${qty}` : ""), 16, 16);
     ctx.restore();
 
     const palette = [
@@ -870,41 +1751,110 @@
       "rgba(180, 140, 255, 0.95)",
     ];
 
+    // A line as the curve model reads it: solid over the data, dashed over the extrapolation
+    const strokeModel = (pts, from, to) => {
+      ctx.beginPath();
+      for (let k = 0; k <= 40; k++) {
+        const q = from + ((to - from) * k) / 40;
+        const x = xToPx(q * qty), y = yToPx(tdhAtGPM(pts, q));
+        if (k === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+      }
+      ctx.stroke();
+    };
+    const strokeLine = (pts) => {
+      const last = pts[pts.length - 1].gpm;
+      strokeModel(pts, pts[0].gpm, last);
+      if (curveEnd(pts) > last) {
+        ctx.setLineDash([2, 4]);
+        strokeModel(pts, last, curveEnd(pts));
+        ctx.setLineDash([]);
+      }
+    };
+
     model.rpmLines.forEach((line, i) => {
       const pts = line.points || [];
       if (pts.length < 2) return;
 
       ctx.save();
       ctx.strokeStyle = palette[i % palette.length];
+      ctx.fillStyle = palette[i % palette.length];
       ctx.lineWidth = 2;
-      ctx.beginPath();
-      ctx.moveTo(xToPx(pts[0].gpm), yToPx(pts[0].tdh));
-      for (let k = 1; k < pts.length; k++) ctx.lineTo(xToPx(pts[k].gpm), yToPx(pts[k].tdh));
-      ctx.stroke();
+      strokeLine(pts);
+      for (const p of pts) ctx.fillRect(xToPx(p.gpm * qty) - 2, yToPx(p.tdh) - 2, 4, 4);
 
       const mid = pts[Math.floor(pts.length / 2)];
       ctx.fillStyle = palette[i % palette.length];
       ctx.font = "12px system-ui";
-      ctx.fillText(line.label || `${line.rpm} RPM`, xToPx(mid.gpm) + 6, yToPx(mid.tdh) - 6);
+      ctx.fillText(line.label || `${line.rpm} RPM`, xToPx(mid.gpm * qty) + 6, yToPx(mid.tdh) - 6);
       ctx.restore();
     });
 
-    const targetTDH = num(pump.tdh, 0);
-    ctx.save();
-    ctx.setLineDash([6, 6]);
-    ctx.strokeStyle = "rgba(255, 220, 120, 0.95)";
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-    ctx.moveTo(bounds.left, yToPx(targetTDH));
-    ctx.lineTo(bounds.left + bounds.w, yToPx(targetTDH));
-    ctx.stroke();
-    ctx.setLineDash([]);
-    ctx.fillStyle = "rgba(255, 220, 120, 0.95)";
-    ctx.font = "12px system-ui";
-    ctx.fillText(`Target TDH: ${round1(targetTDH)} ft`, bounds.left + 8, yToPx(targetTDH) - 8);
-    ctx.restore();
+    if (groupPts.length >= 2) {
+      ctx.save();
+      ctx.strokeStyle = "rgba(255,255,255,0.95)";
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.moveTo(xToPx(groupPts[0].gpm), yToPx(groupPts[0].tdh));
+      for (let k = 1; k < groupPts.length; k++) ctx.lineTo(xToPx(groupPts[k].gpm), yToPx(groupPts[k].tdh));
+      ctx.stroke();
+      ctx.fillStyle = "rgba(255,255,255,0.95)";
+      ctx.font = "12px system-ui";
+      const mid = groupPts[Math.floor(groupPts.length * 0.6)];
+      ctx.fillText(`Combined (${sysPumps.length} rows)`, xToPx(mid.gpm) + 6, yToPx(mid.tdh) - 6);
+      ctx.restore();
+    }
+
+    // Lowest speed that meets this system's requirement (affinity-derived for VS models)
+    const speed = minSpeedForSystem(pump.system);
+    const own = speed?.lines.find(x => x.pump === pump);
+    if (own?.line?.derived) {
+      const pts = own.line.points;
+      ctx.save();
+      ctx.setLineDash([3, 4]);
+      ctx.strokeStyle = "rgba(255,255,255,0.85)";
+      ctx.lineWidth = 2;
+      strokeModel(pts, pts[0].gpm, curveEnd(pts));
+      ctx.setLineDash([]);
+      ctx.fillStyle = "rgba(255,255,255,0.85)";
+      ctx.font = "12px system-ui";
+      const mid = pts[Math.floor(pts.length / 2)];
+      ctx.fillText(`${own.line.rpm} RPM (min)`, xToPx(mid.gpm * qty) + 6, yToPx(mid.tdh) + 14);
+      ctx.restore();
+    }
+
+    if (systemCurveActive()) {
+      ctx.save();
+      ctx.strokeStyle = "rgba(255, 220, 120, 0.95)";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      const steps = 40;
+      for (let k = 0; k <= steps; k++) {
+        const q = (maxG * k) / steps;
+        const x = xToPx(q), y = yToPx(headFn(q));
+        if (k === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+      }
+      ctx.stroke();
+      ctx.fillStyle = "rgba(255, 220, 120, 0.95)";
+      ctx.font = "12px system-ui";
+      ctx.fillText(`System curve (${fmtQ("head", headFn(0))} at zero flow)`, bounds.left + 8, yToPx(headFn(0)) - 8);
+      ctx.restore();
+    } else {
+      const targetTDH = num(pump.tdh, 0);
+      ctx.save();
+      ctx.setLineDash([6, 6]);
+      ctx.strokeStyle = "rgba(255, 220, 120, 0.95)";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(bounds.left, yToPx(targetTDH));
+      ctx.lineTo(bounds.left + bounds.w, yToPx(targetTDH));
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.fillStyle = "rgba(255, 220, 120, 0.95)";
+      ctx.font = "12px system-ui";
+      ctx.fillText(`Target TDH: ${fmtQ("head", targetTDH)}`, bounds.left + 8, yToPx(targetTDH) - 8);
+      ctx.restore();
+    }
 
-    const req = requiredFlowForSystem(pump.system);
     ctx.save();
     ctx.setLineDash([4, 6]);
     ctx.strokeStyle = "rgba(255,255,255,0.25)";
@@ -915,8 +1865,228 @@
     ctx.setLineDash([]);
     ctx.fillStyle = "rgba(255,255,255,0.7)";
     ctx.font = "12px system-ui";
-    ctx.fillText(`Required: ${round1(req)} GPM`, xToPx(req) + 6, bounds.top + 18);
+    ctx.fillText(`Required: ${fmtQ("flow", req)}`, xToPx(req) + 6, bounds.top + 18);
     ctx.restore();
+
+    // Operating points (one per RPM line)
+    const dutyLines = [];
+    cap.lines.forEach(({ line, op }) => {
+      const i = model.rpmLines.indexOf(line);
+      const name = line.label || `${line.rpm} RPM`;
+      if (!op) {
+        dutyLines.push(`${name}: no duty point (can't reach ${fmtQ("head", headFn(0))})`);
+        return;
+      }
+      const ok = op.gpm >= req;
+      dutyLines.push(`${name}: ${fmtQ("flow", op.gpm)} @ ${fmtQ("head", op.tdh)} ${ok ? "✓" : "✗"}${op.atCurveEnd ? " (end of usable curve)" : ""}${op.extrapolated ? " (extrapolated)" : ""}`);
+
+      ctx.save();
+      ctx.fillStyle = palette[i % palette.length];
+      ctx.strokeStyle = "rgba(255,255,255,0.9)";
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.arc(xToPx(op.gpm), yToPx(op.tdh), 5, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+      ctx.restore();
+    });
+
+    if (group?.op) {
+      dutyLines.push(`Combined (${sysPumps.length} rows): ${fmtQ("flow", group.op.gpm)} @ ${fmtQ("head", group.op.tdh)} ${group.op.gpm >= req ? "✓" : "✗"}${group.op.extrapolated ? " (extrapolated)" : ""}`);
+      ctx.save();
+      ctx.fillStyle = "rgba(255,255,255,0.95)";
+      ctx.strokeStyle = "rgba(255, 220, 120, 0.95)";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(xToPx(group.op.gpm), yToPx(group.op.tdh), 6, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+      ctx.restore();
+    } else if (group) {
+      dutyLines.push(`Combined (${sysPumps.length} rows): no duty point`);
+    }
+
+    if (own?.op) {
+      dutyLines.push(`Min speed ${own.line.rpm} RPM: ${fmtQ("flow", own.op.gpm)} @ ${fmtQ("head", own.op.tdh)}`);
+      ctx.save();
+      ctx.fillStyle = "rgba(255,255,255,0.95)";
+      ctx.beginPath();
+      ctx.arc(xToPx(own.op.gpm), yToPx(own.op.tdh), 4, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.restore();
+    }
+
+    if (el.outDutyPoints) {
+      el.outDutyPoints.textContent = dutyLines.length
+        ? `Operating points${qty > 1 ? ` (Qty ${qty})` : ""}: ${dutyLines.join(" | ")}`
+        : "";
+    }
+  }
+
+  /* -----------------------------
+     Projects Modal
+  ----------------------------- */
+  async function openProjectsModal() {
+    el.projectsModal.classList.remove("hidden");
+    await renderProjects();
+  }
+
+  function closeProjectsModal() {
+    el.projectsModal.classList.add("hidden");
+  }
+
+  // Library actions re-list when done; failures show in the list instead of throwing
+  function libraryAction(fn) {
+    return async () => {
+      try {
+        await fn();
+      } catch (e) {
+        el.projectList.innerHTML = `<div class="small">${escapeHtml(e.message || e)}</div>`;
+        return;
+      }
+      await renderProjects();
+    };
+  }
+
+  async function renderProjects() {
+    let list;
+    try {
+      await saveCurrentToLibrary();
+      list = await listProjects();
+    } catch (e) {
+      el.projectList.innerHTML = `<div class="small">${escapeHtml(e.message || e)}</div>`;
+      return;
+    }
+
+    const q = el.inProjectSearch.value.trim().toLowerCase();
+    const showArchived = el.chkShowArchived.checked;
+    const rows = list
+      .map(rec => ({ rec, date: new Date(rec.updated).toLocaleDateString() }))
+      .filter(({ rec }) => showArchived || !rec.archived)
+      .filter(({ rec, date }) => !q || [rec.client, rec.city, date].some(v => String(v || "").toLowerCase().includes(q)))
+      .sort((a, b) => b.rec.updated - a.rec.updated);
+
+    el.projectList.innerHTML = "";
+    if (!rows.length) {
+      el.projectList.innerHTML = `<div class="small">${list.length ? "No project matches." : "No saved projects yet."}</div>`;
+      return;
+    }
+
+    for (const { rec, date } of rows) {
+      const isCurrent = rec.id === currentProjectId;
+      const row = document.createElement("div");
+      row.className = "projRow";
+      row.innerHTML = `
+        <div><input data-k="client" type="text" placeholder="Untitled" /></div>
+        <div class="small">${escapeHtml(rec.city || "—")}</div>
+        <div class="small">${escapeHtml(date)}</div>
+        <div class="small">${isCurrent ? "<b>Current</b>" : rec.archived ? "Archived" : ""}</div>
+        <div class="row" style="gap:6px;justify-content:flex-end">
+          <button class="btn" data-act="open" ${isCurrent ? "disabled" : ""}>Open</button>
+          <button class="btn" data-act="dup">Duplicate</button>
+          <button class="btn" data-act="archive">${rec.archived ? "Restore" : "Archive"}</button>
+          <button class="xbtn" data-act="rm">✕</button>
+        </div>
+      `;
+      const name = row.querySelector('[data-k="client"]');
+      name.value = rec.client || "";
+      name.addEventListener("change", libraryAction(() => renameProject(rec.id, name.value.trim())));
+      row.querySelector('[data-act="open"]').addEventListener("click", libraryAction(() => openProject(rec.id)));
+      row.querySelector('[data-act="dup"]').addEventListener("click", libraryAction(() => duplicateProject(rec.id)));
+      row.querySelector('[data-act="archive"]').addEventListener("click", libraryAction(() => archiveProject(rec.id, !rec.archived)));
+      row.querySelector('[data-act="rm"]').addEventListener("click", libraryAction(async () => {
+        if (!window.confirm(`Delete "${rec.client || "Untitled"}"? This cannot be undone.`)) return;
+        await deleteProject(rec.id);
+      }));
+      el.projectList.appendChild(row);
+    }
+  }
+
+  /* -----------------------------
+     Scenarios
+     Switching parks the open scenario's pumps and engineering on its entry (engine
+     openScenario); the comparison runs the engine once per scenario on a copy.
+  ----------------------------- */
+  const activeScenario = () => state.scenarios.find(sc => sc.id === state.activeScenario) || state.scenarios[0];
+
+  function switchScenario(id) {
+    if (!openScenario(state, id)) return;
+    state.ui.selectedPumpIndex = 0;
+    persistAndRecalc();
+  }
+
+  function addScenario() {
+    const current = activeScenario();
+    const copy = newScenario(`${current.name || "Scenario"} (copy)`, structuredClone({ pumps: state.pumps, engineering: state.engineering }));
+    state.scenarios.splice(state.scenarios.indexOf(current) + 1, 0, copy);
+    switchScenario(copy.id);
+  }
+
+  function removeScenario() {
+    if (state.scenarios.length < 2) return;
+    const current = activeScenario();
+    if (!window.confirm(`Delete scenario "${current.name || "Untitled"}" and its pumps and engineering inputs?`)) return;
+    const i = state.scenarios.indexOf(current);
+    openScenario(state, state.scenarios[i === 0 ? 1 : i - 1].id);
+    state.scenarios = state.scenarios.filter(sc => sc !== current);
+    state.ui.selectedPumpIndex = 0;
+    persistAndRecalc();
+  }
+
+  function renderScenarioBar() {
+    const current = activeScenario();
+    el.selScenario.innerHTML = state.scenarios.map(sc => `<option value="${escapeHtml(sc.id)}">${escapeHtml(sc.name || "Untitled")}</option>`).join("");
+    el.selScenario.value = current.id;
+    el.inScenarioName.value = current.name || "";
+    el.btnRemoveScenario.disabled = state.scenarios.length < 2;
+  }
+
+  const marginText = (m) => `${m >= 0 ? "+" : ""}${round1(m * 100)}%`;
+
+  // [label, value per scenario] rows; values are plain text, verdicts are { pass, text }
+  function comparisonRows(list) {
+    const money = (v) => `$${Math.round(v)}/yr`;
+    const rows = [
+      ["Pumps", ...list.map(c => c.equipment.pumps.map(p => `${curves[p.model]?.modelLabel || p.model} × ${p.qty} (${p.system === "Water" ? "Water Features" : p.system}${p.qty > 1 ? `, ${p.arrangement}` : ""})`).join("; ") || "—")],
+      ["Pipe", ...list.map(c => c.equipment.pipeSizes.map(pipeLabel).join(", "))],
+      ["Equipment", ...list.map(c => c.equipment.items.join(", ") || "—")],
+    ];
+
+    // Modes in the order of the project, each used by at least one scenario
+    list[0].results.modes.forEach((m, i) => {
+      const runs = list.map(c => c.results.modes[i]);
+      if (runs.every(r => r.pass === null)) return;
+      rows.push([m.name, ...runs.map(r => (r.pass === null ? "—" : { pass: r.pass, text: `${r.pass ? "PASS" : "FAIL"} ${marginText(r.margin)}` }))]);
+      rows.push([`${m.name} duty`, ...list.map((c, k) => {
+        const e = runs[k].energy;
+        if (!e) return "—";
+        const u = c.results.units;
+        const duty = e.pumps.filter(x => x.flow > 0).map(x => `${round1(x.flow)} ${u.flow} @ ${round1(x.head)} ${u.head}${x.rpm ? `, ${x.rpm} RPM` : ""}`);
+        return `${duty.join("; ") || "Not running"} · ${round2(e.kw)} kW, ${money(e.costPerYear)}`;
+      })]);
+    });
+
+    rows.push(["Schedule energy", ...list.map(c => `${round1(c.results.schedule.kwhPerDay)} kWh/day, ${money(c.results.schedule.costPerYear)}`)]);
+    rows.push(["Overall", ...list.map((c) => {
+      const pass = c.results.modes.every(m => m.pass !== false);
+      return { pass, text: pass ? "PASS" : "FAIL" };
+    })]);
+    return rows;
+  }
+
+  function renderComparison() {
+    const list = compareScenarios(snapshotState(), curves);
+    const cell = (v) => (typeof v === "object" ? `<span class="badge ${v.pass ? "pass" : "fail"}">${escapeHtml(v.text)}</span>` : escapeHtml(v));
+    const head = list.map(c => `<th>${escapeHtml(c.name || "Untitled")}<br>${c.active ? '<span class="small">Open</span>' : `<button class="btn" data-open="${escapeHtml(c.id)}">Open</button>`}</th>`).join("");
+    el.outCompare.innerHTML = `<table class="cmpTable"><thead><tr><th></th>${head}</tr></thead><tbody>` +
+      comparisonRows(list).map(([label, ...vals]) => `<tr><th>${escapeHtml(label)}</th>${vals.map(v => `<td>${cell(v)}</td>`).join("")}</tr>`).join("") +
+      "</tbody></table>";
+    $$("[data-open]", el.outCompare).forEach((b) => b.addEventListener("click", () => switchScenario(b.dataset.open)));
+  }
+
+  function openCompareModal() {
+    el.compareModal.classList.remove("hidden");
+    renderComparison();
   }
 
   /* -----------------------------
@@ -952,6 +2122,50 @@
     const model = curves[state.ui.curvesActiveModel];
     el.curveEditorBody.innerHTML = "";
 
+    const speedCard = document.createElement("div");
+    speedCard.className = "rpmHeader";
+    speedCard.style.marginTop = "12px";
+    speedCard.innerHTML = `
+      <div class="grow">
+        <label>Variable speed (affinity laws from top RPM line)</label>
+        <select data-k="vs">
+          <option value="1">Yes</option>
+          <option value="0">No (stored speeds only)</option>
+        </select>
+      </div>
+      <div class="grow">
+        <label>Min RPM</label>
+        <input data-k="minRpm" type="number" min="0" step="10" value="${model.minRpm ?? ""}">
+      </div>
+      <div class="grow">
+        <label>Max RPM</label>
+        <input data-k="maxRpm" type="number" min="0" step="10" value="${model.maxRpm ?? ""}">
+      </div>
+      <div class="grow">
+        <label>Efficiency (used when no watts)</label>
+        <input data-k="eff" type="number" min="0.05" max="0.95" step="0.01" placeholder="${DEFAULT_PUMP_EFFICIENCY}" value="${model.efficiency ?? ""}">
+      </div>
+    `;
+    const selVS = speedCard.querySelector('select[data-k="vs"]');
+    const inMin = speedCard.querySelector('input[data-k="minRpm"]');
+    const inMax = speedCard.querySelector('input[data-k="maxRpm"]');
+    selVS.value = model.variableSpeed ? "1" : "0";
+    selVS.addEventListener("change", () => { model.variableSpeed = selVS.value === "1"; });
+    inMin.addEventListener("input", () => { model.minRpm = inMin.value === "" ? undefined : Math.max(0, Math.round(num(inMin.value, 0))); });
+    inMax.addEventListener("input", () => { model.maxRpm = inMax.value === "" ? undefined : Math.max(0, Math.round(num(inMax.value, 0))); });
+    const inEff = speedCard.querySelector('input[data-k="eff"]');
+    inEff.addEventListener("input", () => { model.efficiency = inEff.value === "" ? undefined : clamp(num(inEff.value, DEFAULT_PUMP_EFFICIENCY), 0.05, 0.95); });
+    el.curveEditorBody.appendChild(speedCard);
+
+    const meta = [model.brand, model.hp ? `${model.hp} HP` : "", model.voltage ? `${model.voltage} V` : ""].filter(Boolean);
+    if (meta.length) {
+      const info = document.createElement("div");
+      info.className = "hint";
+      info.style.marginTop = "6px";
+      info.textContent = `Catalog: ${meta.join(" · ")}`;
+      el.curveEditorBody.appendChild(info);
+    }
+
     (model.rpmLines || []).forEach((line, idx) => {
       const card = document.createElement("div");
       card.className = "rpmCard";
@@ -971,8 +2185,10 @@
         </div>
         <div style="margin-top:10px">
           <label>Points</label>
-          <textarea data-k="pts" spellcheck="false">${pointsToText(line.points || [])}</textarea>
-          <div class="hint">Example lines: <b>0,95</b> or <b>30,92</b></div>
+          <textarea data-k="pts" spellcheck="false">${pointsToDisplayText(line.points || [])}</textarea>
+          <div class="hint" data-k="fit"></div>
+          <div class="hint curveIssues" data-k="issues"></div>
+          <div class="hint">Example lines: <b>0,95</b> or <b>30,92</b> — optional 3rd value is input watts: <b>30,92,1740</b></div>
         </div>
       `;
 
@@ -981,9 +2197,16 @@
       const taPts = card.querySelector('textarea[data-k="pts"]');
       const btnRm = card.querySelector('button[data-act="rm"]');
 
-      inRpm.addEventListener("input", () => { line.rpm = Math.round(num(inRpm.value, 0)); });
+      inRpm.addEventListener("input", () => { line.rpm = Math.max(0, Math.round(num(inRpm.value, 0))); });
       inLabel.addEventListener("input", () => { line.label = inLabel.value; });
-      taPts.addEventListener("input", () => { line.points = parsePoints(taPts.value); });
+      const outFit = card.querySelector('[data-k="fit"]');
+      const outIssues = card.querySelector('[data-k="issues"]');
+      const showFit = () => {
+        outFit.textContent = fitSummary(line.points);
+        outIssues.textContent = curveIssues(line.points || []).map(x => `⚠ ${x}`).join(" ");
+      };
+      showFit();
+      taPts.addEventListener("input", () => { line.points = parseDisplayPoints(taPts.value); showFit(); });
 
       btnRm.addEventListener("click", () => {
         model.rpmLines = model.rpmLines.filter((_, i) => i !== idx);
@@ -1007,7 +2230,7 @@
   }
 
   function resetCurves() {
-    curves = structuredClone(DEFAULT_CURVES);
+    setCurves(structuredClone(DEFAULT_CURVES));
     state.ui.curvesActiveModel = Object.keys(curves)[0];
     renderCurvesModal();
     persistAndRecalc();
@@ -1016,7 +2239,7 @@
   function saveCurvesAndClose() {
     for (const k of Object.keys(curves)) {
       curves[k].rpmLines = (curves[k].rpmLines || []).map((l) => ({
-        rpm: Math.round(num(l.rpm, 0)),
+        rpm: Math.max(0, Math.round(num(l.rpm, 0))),
         label: String(l.label ?? `${l.rpm} RPM`),
         points: Array.isArray(l.points) ? l.points : [],
       }));
@@ -1025,65 +2248,332 @@
     closeCurvesModal();
   }
 
+  /* -----------------------------
+     Catalog Import (CSV / JSON)
+  ----------------------------- */
+  // One record per curve point (model, brand, hp, voltage, rpm, gpm, tdh[, watts, max_rpm, min_rpm]),
+  // or one per RPM line with a "points" column: "0:95;30:92:1740;…".
+  const CATALOG_FIELDS = {
+    model: ["model", "pump", "name"],
+    brand: ["brand", "manufacturer", "make"],
+    hp: ["hp", "horsepower"],
+    voltage: ["voltage", "volts", "v"],
+    rpm: ["rpm", "speed", "rpm_line"],
+    gpm: ["gpm", "flow"],
+    tdh: ["tdh", "head", "head_ft"],
+    watts: ["watts", "w", "input_watts"],
+    maxRpm: ["max_rpm", "maxrpm"],
+    minRpm: ["min_rpm", "minrpm"],
+    points: ["points", "curve"],
+  };
+
+  function parseCSV(text) {
+    const rows = [];
+    let row = [], cell = "", quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (quoted) {
+        if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+        else if (c === '"') quoted = false;
+        else cell += c;
+      } else if (c === '"') quoted = true;
+      else if (c === ",") { row.push(cell); cell = ""; }
+      else if (c === "\n" || c === "\r") {
+        if (c === "\r" && text[i + 1] === "\n") i++;
+        row.push(cell); rows.push(row); row = []; cell = "";
+      } else cell += c;
+    }
+    if (cell !== "" || row.length) { row.push(cell); rows.push(row); }
+    return rows.filter(r => r.some(x => x.trim() !== ""));
+  }
+
+  // Map loose header names / JSON keys onto CATALOG_FIELDS
+  function catalogField(key) {
+    const k = String(key).trim().toLowerCase().replace(/[\s-]+/g, "_");
+    return Object.keys(CATALOG_FIELDS).find(f => CATALOG_FIELDS[f].includes(k)) || null;
+  }
+
+  function catalogRecords(text, fileName) {
+    const trimmed = text.trim();
+    if (/\.json$/i.test(fileName || "") || trimmed.startsWith("[") || trimmed.startsWith("{")) {
+      const parsed = JSON.parse(trimmed);
+      const list = Array.isArray(parsed) ? parsed : (parsed.pumps || parsed.models || parsed.records);
+      if (!Array.isArray(list)) throw new Error("JSON catalog must be an array of records (or { pumps: [...] })");
+      return list.map((rec, i) => {
+        const out = {};
+        for (const [k, v] of Object.entries(rec || {})) {
+          const f = catalogField(k);
+          if (f) out[f] = v;
+        }
+        return { row: `Record ${i + 1}`, rec: out };
+      });
+    }
+
+    const rows = parseCSV(text);
+    if (rows.length < 2) throw new Error("CSV needs a header row and at least one data row");
+    const header = rows[0].map(catalogField);
+    return rows.slice(1).map((cells, i) => {
+      const out = {};
+      header.forEach((f, j) => { if (f && cells[j] !== undefined && cells[j].trim() !== "") out[f] = cells[j].trim(); });
+      return { row: `Row ${i + 2}`, rec: out };
+    });
+  }
+
+  function catalogPoints(value) {
+    if (Array.isArray(value)) return value.map(p => [p.gpm, p.tdh, p.watts]);
+    return String(value).split(/[;|\n]/).map(s => s.trim()).filter(Boolean).map(s => s.split(":"));
+  }
+
+  // Validates records into curve models. Bad rows are reported and skipped; a model
+  // survives if at least one RPM line ends up with two or more points.
+  function buildCatalog(records) {
+    const errors = [];
+    const models = {};
+
+    for (const { row, rec } of records) {
+      const fail = (msg) => errors.push(`${row}: ${msg}`);
+      const model = String(rec.model ?? "").trim();
+      const brand = String(rec.brand ?? "").trim();
+      if (!model) { fail("missing model"); continue; }
+      const rpm = Math.round(Number(rec.rpm));
+      if (!Number.isFinite(rpm) || rpm <= 0) { fail(`RPM "${rec.rpm ?? ""}" is not a positive number`); continue; }
+
+      const raw = rec.points !== undefined ? catalogPoints(rec.points) : [[rec.gpm, rec.tdh, rec.watts]];
+      const pts = [];
+      let bad = "";
+      raw.forEach(([g, t, w]) => {
+        const gpm = Number(g), tdh = Number(t);
+        const watts = w === undefined || w === null || w === "" ? NaN : Number(w);
+        if (g === undefined || g === "" || !Number.isFinite(gpm) || gpm < 0) bad = bad || `GPM "${g ?? ""}" is not a number ≥ 0`;
+        else if (t === undefined || t === "" || !Number.isFinite(tdh) || tdh < 0) bad = bad || `TDH "${t ?? ""}" is not a number ≥ 0`;
+        else if (w !== undefined && w !== null && w !== "" && !(watts > 0)) bad = bad || `watts "${w}" is not a positive number`;
+        else pts.push(Number.isFinite(watts) ? { gpm, tdh, watts } : { gpm, tdh });
+      });
+      if (bad) { fail(bad); continue; }
+
+      const maxRpm = rec.maxRpm === undefined ? NaN : Math.round(Number(rec.maxRpm));
+      const minRpm = rec.minRpm === undefined ? NaN : Math.round(Number(rec.minRpm));
+      if (rec.maxRpm !== undefined && !(maxRpm > 0)) { fail(`max RPM "${rec.maxRpm}" is not a positive number`); continue; }
+      if (rec.minRpm !== undefined && !(minRpm > 0)) { fail(`min RPM "${rec.minRpm}" is not a positive number`); continue; }
+
+      const key = brand && !model.toLowerCase().startsWith(brand.toLowerCase()) ? `${brand} ${model}` : model;
+      const m = models[key] || (models[key] = { modelLabel: key, rpmLines: [] });
+      if (brand) m.brand = m.brand || brand;
+      if (rec.hp !== undefined && Number.isFinite(Number(rec.hp))) m.hp = m.hp ?? Number(rec.hp);
+      if (rec.voltage !== undefined && String(rec.voltage).trim()) m.voltage = m.voltage ?? String(rec.voltage).trim();
+      if (Number.isFinite(maxRpm)) m.maxRpm = Math.max(m.maxRpm || 0, maxRpm);
+      if (Number.isFinite(minRpm)) m.minRpm = m.minRpm ? Math.min(m.minRpm, minRpm) : minRpm;
+
+      let line = m.rpmLines.find(l => l.rpm === rpm);
+      if (!line) m.rpmLines.push(line = { rpm, label: `${rpm} RPM`, points: [] });
+      line.points.push(...pts);
+    }
+
+    for (const [key, m] of Object.entries(models)) {
+      m.rpmLines = m.rpmLines.filter((line) => {
+        line.points.sort((a, b) => a.gpm - b.gpm);
+        const dup = line.points.find((p, i) => i > 0 && p.gpm === line.points[i - 1].gpm);
+        if (dup) { errors.push(`${key} @ ${line.rpm} RPM: duplicate GPM ${dup.gpm}; line skipped`); return false; }
+        if (line.points.length < 2) { errors.push(`${key} @ ${line.rpm} RPM: needs at least 2 points; line skipped`); return false; }
+        return true;
+      }).sort((a, b) => b.rpm - a.rpm);
+
+      if (!m.rpmLines.length) { delete models[key]; continue; }
+      // A published max RPM marks a variable-speed drive; affinity scaling runs from the top line
+      if (m.maxRpm) {
+        m.variableSpeed = true;
+        m.minRpm = m.minRpm || 600;
+      } else {
+        m.variableSpeed = false;
+        delete m.minRpm;
+      }
+    }
+
+    return { models, errors };
+  }
+
+  // Pump rows of every scenario, the open one's from state.pumps
+  function allPumpRows() {
+    return state.scenarios.flatMap(sc => (sc.id === state.activeScenario ? state.pumps : sc.pumps || []).map((pump, index) => ({ scenario: sc, index, pump })));
+  }
+
+  // Replacing keeps the curves of models that pump rows still use; returns those rows
+  function applyCatalog(models, mode) {
+    const kept = [];
+    if (mode === "replace") {
+      const previous = { ...curves };
+      setCurves({});
+      for (const row of allPumpRows()) {
+        if (models[row.pump.model] || !previous[row.pump.model]) continue;
+        curves[row.pump.model] = previous[row.pump.model];
+        kept.push(row);
+      }
+    }
+    Object.assign(curves, structuredClone(models));
+    if (!curves[state.ui.curvesActiveModel]) state.ui.curvesActiveModel = Object.keys(curves)[0];
+    return kept;
+  }
+
+  async function importCatalogFile(file) {
+    const lines = [];
+    try {
+      const records = catalogRecords(await file.text(), file.name);
+      const { models, errors } = buildCatalog(records);
+      const keys = Object.keys(models);
+      if (!keys.length) {
+        lines.push(`Nothing imported from ${file.name}: no valid models.`);
+      } else {
+        const mode = el.selCatalogMode?.value === "replace" ? "replace" : "merge";
+        const updated = keys.filter(k => curves[k]).length;
+        const kept = applyCatalog(models, mode);
+        state.ui.curvesActiveModel = keys[0];
+        const nLines = keys.reduce((s, k) => s + models[k].rpmLines.length, 0);
+        lines.push(mode === "replace"
+          ? `Replaced catalog with ${keys.length} model(s), ${nLines} RPM line(s) from ${file.name}.`
+          : `Merged ${keys.length} model(s), ${nLines} RPM line(s) from ${file.name} (${updated} updated, ${keys.length - updated} new).`);
+        if (kept.length) {
+          lines.push(`Kept ${new Set(kept.map(r => r.pump.model)).size} model(s) not in ${file.name} because these pumps use them; change those pumps, then replace again to drop them:`,
+            ...kept.map(r => `${r.scenario.name || "Untitled"} · pump ${r.index + 1}: ${r.pump.model}`));
+        }
+        persistAndRecalc();
+      }
+      if (errors.length) lines.push(`${errors.length} problem(s):`, ...errors);
+    } catch (e) {
+      lines.push(`Could not read ${file.name}: ${e.message}`);
+    }
+    if (el.outCatalogReport) el.outCatalogReport.textContent = lines.join("\n");
+    renderCurvesModal();
+  }
+
   /* -----------------------------
      Bind + Persist
   ----------------------------- */
   function persistAndRecalc() {
     saveAll();
     renderAll();
+    renderHistoryButtons();
   }
 
   function bind() {
     // Project
     el.inClient.addEventListener("input", () => { state.project.client = el.inClient.value; persistAndRecalc(); });
     el.inCity.addEventListener("input", () => { state.project.city = el.inCity.value; persistAndRecalc(); });
-    el.inPoolVol.addEventListener("input", () => { state.project.poolVol = num(el.inPoolVol.value, 0); persistAndRecalc(); });
+    el.inNotes.addEventListener("input", () => { state.project.notes = el.inNotes.value; persistAndRecalc(); });
+    el.inPoolVol.addEventListener("input", () => { state.project.poolVol = Math.max(0, readInput("volume", el.inPoolVol.value, 0)); persistAndRecalc(); });
+    el.selUnits.addEventListener("change", () => { state.project.units = el.selUnits.value; persistAndRecalc(); });
+    el.selMetricFlow.addEventListener("change", () => { state.project.metricFlow = el.selMetricFlow.value; persistAndRecalc(); });
     el.selTurnover.addEventListener("change", () => { state.project.turnoverH = num(el.selTurnover.value, 6); persistAndRecalc(); });
     el.inTurnCustom.addEventListener("input", () => { state.project.turnoverCustom = el.inTurnCustom.value; persistAndRecalc(); });
 
     // Water Features
     el.btnAddWF.addEventListener("click", () => {
-      state.waterFeatures.push({ id: safeId(), type: "Sheer", qty: 1, width: 2, gpmPerFt: 15 });
+      state.waterFeatures.push(newWaterFeature("Sheer"));
       persistAndRecalc();
     });
 
     // SPA
     el.chkSpaMode.addEventListener("change", () => { state.spa.enabled = !!el.chkSpaMode.checked; persistAndRecalc(); });
     el.selSpaSetup.addEventListener("change", () => { state.spa.setup = el.selSpaSetup.value; persistAndRecalc(); });
-    el.inSpaVol.addEventListener("input", () => { state.spa.spaVol = num(el.inSpaVol.value, 0); persistAndRecalc(); });
-    el.inSpaTurnH.addEventListener("input", () => { state.spa.spaTurnH = num(el.inSpaTurnH.value, 0); persistAndRecalc(); });
-    el.inSpaJetsQty.addEventListener("input", () => { state.spa.jetsQty = num(el.inSpaJetsQty.value, 0); persistAndRecalc(); });
-    el.inGpmPerJet.addEventListener("input", () => { state.spa.gpmPerJet = num(el.inGpmPerJet.value, 0); persistAndRecalc(); });
-    el.inSpaTDH.addEventListener("input", () => { state.spa.spaTDH = num(el.inSpaTDH.value, 50); persistAndRecalc(); });
+    el.inSpaVol.addEventListener("input", () => { state.spa.spaVol = Math.max(0, readInput("volume", el.inSpaVol.value, 0)); persistAndRecalc(); });
+    el.inSpaTurnH.addEventListener("input", () => { state.spa.spaTurnH = Math.max(0, num(el.inSpaTurnH.value, 0)); persistAndRecalc(); });
+    el.inSpaJetsQty.addEventListener("input", () => { state.spa.jetsQty = Math.max(0, num(el.inSpaJetsQty.value, 0)); persistAndRecalc(); });
+    el.inGpmPerJet.addEventListener("input", () => { state.spa.gpmPerJet = Math.max(0, readInput("flow", el.inGpmPerJet.value, 0)); persistAndRecalc(); });
+    el.inSpaTDH.addEventListener("input", () => { state.spa.spaTDH = Math.max(0, readInput("head", el.inSpaTDH.value, 50)); persistAndRecalc(); });
+    el.inSpillWidth.addEventListener("input", () => { state.spa.spillWidth = Math.max(0, readInput("length", el.inSpillWidth.value, 0)); persistAndRecalc(); });
+    el.inSpillRate.addEventListener("input", () => { state.spa.spillRate = Math.max(0, readInput("flowPerLength", el.inSpillRate.value, 0)); persistAndRecalc(); });
+
+    // Energy
+    el.inRate.addEventListener("input", () => { state.energy.rate = Math.max(0, num(el.inRate.value, 0)); persistAndRecalc(); });
+
+    // Filter
+    el.chkFilter.addEventListener("change", () => { state.filter.enabled = el.chkFilter.checked; persistAndRecalc(); });
+    el.selFilterModel.addEventListener("change", () => { applyFilterModel(el.selFilterModel.value); persistAndRecalc(); });
+    el.selFilterType.addEventListener("change", () => { state.filter.type = el.selFilterType.value; persistAndRecalc(); });
+    el.inFilterArea.addEventListener("change", () => { state.filter.area = Math.max(0, readInput("area", el.inFilterArea.value, 0)); persistAndRecalc(); });
+    el.inFilterRated.addEventListener("change", () => { state.filter.rated = Math.max(0, readInput("flow", el.inFilterRated.value, 0)); persistAndRecalc(); });
+    el.selFilterUse.addEventListener("change", () => { state.filter.use = el.selFilterUse.value; persistAndRecalc(); });
+    el.selFilterServes.addEventListener("change", () => { state.filter.serves = el.selFilterServes.value; persistAndRecalc(); });
+
+    // Daily schedule
+    el.btnAddSlot.addEventListener("click", () => {
+      const last = state.schedule.slots[state.schedule.slots.length - 1];
+      const next = last ? { start: last.end, end: clockText(clockHours(last.end) + 2), modeId: last.modeId, rpm: last.rpm } : {};
+      state.schedule.slots.push(newSlot(next));
+      persistAndRecalc();
+    });
+    el.inTargetTurnovers.addEventListener("input", () => { state.schedule.targetTurnovers = Math.max(0, num(el.inTargetTurnovers.value, 1)); persistAndRecalc(); });
+
+    // Valve modes
+    el.btnAddMode.addEventListener("click", () => {
+      state.modes.push(newMode({ name: `Mode ${state.modes.length + 1}`, pool: true }));
+      persistAndRecalc();
+    });
+
+    // Scenarios
+    el.selScenario.addEventListener("change", () => switchScenario(el.selScenario.value));
+    el.inScenarioName.addEventListener("input", () => { activeScenario().name = el.inScenarioName.value; persistAndRecalc(); });
+    el.btnAddScenario.addEventListener("click", addScenario);
+    el.btnRemoveScenario.addEventListener("click", removeScenario);
+    el.btnCompare.addEventListener("click", openCompareModal);
+    el.btnCloseCompare.addEventListener("click", () => el.compareModal.classList.add("hidden"));
 
     // Pumps
     el.btnAddPump.addEventListener("click", () => {
       const firstModel = Object.keys(curves)[0] || "Jandy VS FloPro 2.7 HP";
-      state.pumps.push({ id: safeId(), model: firstModel, qty: 1, system: "Shared", tdh: 50 });
+      state.pumps.push({ id: safeId(), model: firstModel, qty: 1, system: "Shared", arrangement: "parallel", tdh: 50 });
       state.ui.selectedPumpIndex = state.pumps.length - 1;
       persistAndRecalc();
     });
 
+    el.btnRecommend.addEventListener("click", () => {
+      state.ui.recommendOpen = !state.ui.recommendOpen;
+      persistAndRecalc();
+    });
+    el.selRecommendSort.addEventListener("change", () => { state.ui.recommendSort = el.selRecommendSort.value; persistAndRecalc(); });
+
     // Curves
     el.btnEditCurves.addEventListener("click", openCurvesModal);
     el.btnCloseCurves.addEventListener("click", closeCurvesModal);
     el.btnAddRPM.addEventListener("click", addRPMLine);
     el.btnResetCurves.addEventListener("click", resetCurves);
     el.btnSaveCurves.addEventListener("click", saveCurvesAndClose);
+    el.btnImportCatalog.addEventListener("click", () => el.fileCatalog.click());
+    el.fileCatalog.addEventListener("change", async () => {
+      const f = el.fileCatalog.files?.[0];
+      if (!f) return;
+      await importCatalogFile(f);
+      el.fileCatalog.value = "";
+    });
 
     // Engineering inputs
-    el.inEqDist.addEventListener("input", () => { state.engineering.eqDist = el.inEqDist.value; saveAll(); });
-    el.inFitAllow.addEventListener("input", () => { state.engineering.fitAllow = num(el.inFitAllow.value, 0); saveAll(); });
-    el.selPipeIn.addEventListener("change", () => { state.engineering.pipeIn = num(el.selPipeIn.value, 2.5); saveAll(); });
-    el.inElev.addEventListener("input", () => { state.engineering.elev = el.inElev.value; saveAll(); });
-    el.inEquipHead.addEventListener("input", () => { state.engineering.equipHead = num(el.inEquipHead.value, 0); saveAll(); });
-    el.inC.addEventListener("input", () => { state.engineering.C = num(el.inC.value, 140); saveAll(); });
+    // (these shape the system curve, so pass/fail is recalculated on every edit)
+    el.inEqDist.addEventListener("input", () => { const d = readInput("length", el.inEqDist.value, ""); state.engineering.eqDist = d === "" ? "" : Math.max(0, d); persistAndRecalc(); });
+    el.selPipeIn.addEventListener("change", () => { state.engineering.pipeIn = num(el.selPipeIn.value, 2.5); persistAndRecalc(); });
+    el.inElev.addEventListener("input", () => { state.engineering.elev = readInput("length", el.inElev.value, ""); persistAndRecalc(); });
+    el.selAddEquip.innerHTML = EQUIPMENT_LIBRARY.map(x => `<option value="${x.id}">${x.label}</option>`).join("");
+    el.btnAddEquip.addEventListener("click", () => {
+      state.engineering.equipment = state.engineering.equipment || [];
+      state.engineering.equipment.push(newEquipment(el.selAddEquip.value));
+      persistAndRecalc();
+    });
+    el.inC.addEventListener("input", () => { state.engineering.C = num(el.inC.value, 140); persistAndRecalc(); });
+    el.selCurveModel.addEventListener("change", () => { state.engineering.curveModel = el.selCurveModel.value; persistAndRecalc(); });
+    el.inExtrapolate.addEventListener("input", () => { state.engineering.extrapolatePct = clamp(num(el.inExtrapolate.value, 0), 0, 50); persistAndRecalc(); });
+    el.inVelSuction.addEventListener("input", () => { state.engineering.velSuctionMax = Math.max(0, readInput("velocity", el.inVelSuction.value, 6)); persistAndRecalc(); });
+    el.inVelReturn.addEventListener("input", () => { state.engineering.velReturnMax = Math.max(0, readInput("velocity", el.inVelReturn.value, 8)); persistAndRecalc(); });
+    el.btnAddSeg.addEventListener("click", addSegment);
+    el.btnAddFit.addEventListener("click", () => {
+      state.engineering.fittings = state.engineering.fittings || [];
+      state.engineering.fittings.push({ id: safeId(), type: "elbow90", qty: 1, sizeIn: num(state.engineering.pipeIn, 2.5), segId: "" });
+      persistAndRecalc();
+    });
+    el.selApplyTDH.addEventListener("change", renderSegments);
 
     // ✅ Estimate TDH (no popup; inline warning only)
     el.btnEstimateTDH.addEventListener("click", () => {
       const scope = el.selApplyTDH?.value || "all";
       const flowForEst = estimateFlowByScope(scope);
-      const tdh = estimateTDHForFlow(flowForEst);
+      const tdh = estimateTDHForFlow(flowForEst, systemForScope(scope));
       if (!guardTDHEstimate(flowForEst, tdh)) {
         renderSummary();
         return;
@@ -1097,7 +2587,10 @@
 
     // Export / Import / Print
     el.btnExport.addEventListener("click", () => {
-      const blob = new Blob([JSON.stringify({ state, curves }, null, 2)], { type: "application/json" });
+      // State is always US units; results carry the display units alongside
+      const results = engine.results();
+      const file = { format: PROJECT_FORMAT, version: PROJECT_VERSION, state, curves, results };
+      const blob = new Blob([JSON.stringify(file, null, 2)], { type: "application/json" });
       const url = URL.createObjectURL(blob);
       const a = document.createElement("a");
       a.href = url;
@@ -1112,43 +2605,210 @@
     el.fileImport.addEventListener("change", async () => {
       const f = el.fileImport.files?.[0];
       if (!f) return;
-      const txt = await f.text();
-      try {
-        const parsed = JSON.parse(txt);
-        if (parsed.state) {
-          Object.assign(state.project, parsed.state.project || {});
-          state.waterFeatures = Array.isArray(parsed.state.waterFeatures) ? parsed.state.waterFeatures : state.waterFeatures;
-          Object.assign(state.spa, parsed.state.spa || {});
-          state.pumps = Array.isArray(parsed.state.pumps) ? parsed.state.pumps : state.pumps;
-          Object.assign(state.engineering, parsed.state.engineering || {});
-          Object.assign(state.ui, parsed.state.ui || {});
-        }
-        if (parsed.curves) curves = parsed.curves;
+      await importProjectFile(f);
+      el.fileImport.value = "";
+    });
+    el.btnCloseImport.addEventListener("click", () => el.importModal.classList.add("hidden"));
+
+    // Undo / redo. Inside a text field the browser's own undo handles the typing.
+    el.btnUndo.addEventListener("click", undo);
+    el.btnRedo.addEventListener("click", redo);
+    document.addEventListener("keydown", (ev) => {
+      if (!(ev.ctrlKey || ev.metaKey) || ev.altKey) return;
+      const t = ev.target;
+      if (t.matches?.("textarea, input:not([type=checkbox]):not([type=radio]), select")) return;
+      const k = ev.key.toLowerCase();
+      if (k === "z" && !ev.shiftKey) undo();
+      else if ((k === "z" && ev.shiftKey) || k === "y") redo();
+      else return;
+      ev.preventDefault();
+    });
 
-        // Normalize bubbler rows after import
-        state.waterFeatures.forEach((wf) => { if (isBubblerType(wf.type)) wf.width = 1; });
+    // Projects
+    el.btnProjects.addEventListener("click", () => openProjectsModal());
+    el.btnCloseProjects.addEventListener("click", () => closeProjectsModal());
+    el.btnNewProject.addEventListener("click", libraryAction(() => newProject()));
+    el.inProjectSearch.addEventListener("input", () => renderProjects());
+    el.chkShowArchived.addEventListener("change", () => renderProjects());
 
-        persistAndRecalc();
-      } catch (e) {
-        setTdhWarningOnce("Invalid JSON file", "jsonerr");
-        renderSummary();
-      } finally {
-        el.fileImport.value = "";
+    el.btnPrint.addEventListener("click", () => {
+      renderReport();
+      window.print();
+    });
+  }
+
+  /* -----------------------------
+     Printable report
+     Built into #report from the current state; the print stylesheet shows only it.
+     Charts are the curve viewer's drawing for each pump, copied onto a dark plate.
+  ----------------------------- */
+  const REPORT_DISCLAIMER =
+    "Sizing is based on manufacturer curve data and the inputs above. Verify pump curves, equipment head losses, " +
+    "suction outlet ratings and local code requirements before construction. Final design responsibility rests with the " +
+    "licensed contractor or engineer of record.";
+
+  function reportTable(head, rows) {
+    return `<table><thead><tr>${head.map(h => `<th>${escapeHtml(h)}</th>`).join("")}</tr></thead>` +
+      `<tbody>${rows.map(r => `<tr>${r.map(c => `<td>${escapeHtml(c)}</td>`).join("")}</tr>`).join("")}</tbody></table>`;
+  }
+
+  function pumpChartImage(index) {
+    const saved = state.ui.selectedPumpIndex;
+    state.ui.selectedPumpIndex = index;
+    renderCurveViewer();
+    const duty = el.outDutyPoints?.textContent || "";
+
+    let src = "";
+    const plate = document.createElement("canvas");
+    plate.width = el.canvas.width;
+    plate.height = el.canvas.height;
+    const pctx = plate.getContext("2d");
+    if (pctx) {
+      pctx.fillStyle = "#0b1730";
+      pctx.fillRect(0, 0, plate.width, plate.height);
+      pctx.drawImage(el.canvas, 0, 0);
+      src = plate.toDataURL("image/png");
+    }
+
+    state.ui.selectedPumpIndex = saved;
+    renderCurveViewer();
+    return { src, duty };
+  }
+
+  // Static head, friction and equipment behind the TDH each rated system sees
+  function tdhDerivationRows() {
+    return activeRequirements().map((r) => {
+      const pumps = state.pumps.filter(p => p.system === (r.spaMode ? (state.spa.setup === "shared" ? "Shared" : "Spa") : r.system));
+      if (!systemCurveActive()) {
+        const tdh = r.spaMode ? num(state.spa.spaTDH, 50) : Math.max(0, ...pumps.map(p => num(p.tdh, 0)));
+        return [r.name, fmtQ("flow", r.req), "—", "—", "—", "—", `${fmtQ("head", tdh)} (entered)`];
       }
+      const h = systemHeadAtFlow(r.req, r.spaMode ? "Spa" : r.system);
+      const staticText = h.branch ? `${fmtQ("head", h.staticHead)} (branch: ${h.branch.wf.type})` : fmtQ("head", h.elev);
+      return [r.name, fmtQ("flow", r.req), fmtQ("length", h.L), fmtQ("head", h.friction), staticText, fmtQ("head", h.equipHead), fmtQ("head", h.tdh)];
+    });
+  }
+
+  function renderReport() {
+    const p = state.project;
+    const results = evaluateModes();
+    const filters = filterChecks(results);
+    const sched = evaluateSchedule();
+    const date = new Date().toLocaleDateString();
+
+    const inputs = [
+      ["Pool volume", fmtQ("volume", num(p.poolVol, 0))],
+      ["Turnover", `${round1(getTurnoverHours())} h`],
+      ["Spa", state.spa.enabled ? `${state.spa.setup === "shared" ? "Shared" : "Separate"} pumps, ${fmtQ("volume", num(state.spa.spaVol, 0))}, ${num(state.spa.jetsQty, 0)} jets × ${fmtQ("flow", num(state.spa.gpmPerJet, 0))}` : "None"],
+      ["Filter", state.filter.enabled ? `${filterType().label}, ${fmtQ("area", num(state.filter.area, 0))}, rated ${fmtQ("flow", num(state.filter.rated, 0))} (${state.filter.use})` : "Not checked"],
+      ["Utility rate", `$${num(state.energy.rate, 0)}/kWh`],
+    ];
+
+    const features = state.waterFeatures.map((wf) => {
+      const h = featureHydraulics(wf);
+      return [
+        wf.type, wf.method === "hydraulic" ? "Hydraulic" : "Manual", String(num(wf.qty, 0)),
+        `${fmtQ(h.perFt ? "flowPerLength" : "flow", h.rate)}${h.perFt ? "" : " each"}`,
+        fmtQ("flow", featureFlow(wf)),
+        Number.isFinite(h.inletHead) ? `${round2(toUnit("head", h.inletHead))} ${unitLabel("head")}` : "—",
+        fmtQ("head", featureBranchHead(wf).head),
+      ];
+    });
+
+    const flows = [
+      ["Pool turnover", fmtQ("flow", poolTurnoverFlow())],
+      ["Water features", fmtQ("flow", waterFeaturesFlow())],
+      ["Pool mode total", fmtQ("flow", poolModeRequiredTotal())],
+    ];
+    if (state.spa.enabled) {
+      flows.push(["Spa jets", fmtQ("flow", spaJetsFlow())], ["Spa turnover", fmtQ("flow", spaTurnoverFlow())], ["Spa mode", fmtQ("flow", spaRequiredFlow())], ["Spillover", fmtQ("flow", spilloverFlow())]);
+    }
+
+    const pumpRows = state.pumps.map(x => [
+      curves[x.model]?.modelLabel || x.model, String(Math.max(1, Math.round(num(x.qty, 1)))),
+      x.system === "Water" ? "Water Features" : x.system, isSeries(x) ? "Series" : "Parallel",
+    ]);
+
+    const modeRows = results.map((r) => {
+      const f = filters.find(c => c.result === r);
+      const notes = r.suction.filter(c => !c.pass).map(c => `${c.set.body} suction: ${c.issues.join("; ")}`);
+      if (f && !f.pass) notes.push(`Filter: ${round2(toUnit("flowPerArea", f.rate))} ${unitLabel("flowPerArea")}${f.overRated ? ", above rating" : ""}`);
+      if (!r.active) return [r.mode.name, "—", "—", "—", "—", ""];
+      return [
+        r.mode.name,
+        r.groups.map(g => `${g.system} ${fmtQ("flow", g.req)} @ ${fmtQ("head", g.headFn(g.req))}`).join("; "),
+        r.groups.map(g => fmtQ("flow", g.cap)).join("; "),
+        `${r.margin >= 0 ? "+" : ""}${round1(r.margin * 100)}%`,
+        r.pass ? "PASS" : "FAIL",
+        notes.join(" · "),
+      ];
     });
 
-    el.btnPrint.addEventListener("click", () => window.print());
+    // With alternatives on file, the report names the one printed and lists them all side by side
+    const scenarios = state.scenarios.length > 1 ? compareScenarios(snapshotState(), curves) : [];
+    const scenarioTable = scenarios.length
+      ? reportTable(["", ...scenarios.map(c => `${c.name || "Untitled"}${c.active ? " (this report)" : ""}`)], comparisonRows(scenarios).map(r => r.map(v => (typeof v === "object" ? v.text : v))))
+      : "";
+
+    const charts = state.pumps.map((x, i) => {
+      const c = pumpChartImage(i);
+      return `<div class="reportPump"><h3>${escapeHtml(curves[x.model]?.modelLabel || x.model)} — ${escapeHtml(x.system)}</h3>` +
+        (c.src ? `<img src="${c.src}" alt="Pump curve" />` : "") + `<p>${escapeHtml(c.duty)}</p></div>`;
+    }).join("");
+
+    el.report.innerHTML = `
+      <header>
+        <h1>Pool Pump Sizing Report</h1>
+        <div>${escapeHtml(p.client || "Untitled project")}${p.city ? ` · ${escapeHtml(p.city)}` : ""}${scenarios.length ? ` · Scenario: ${escapeHtml(activeScenario().name || "Untitled")}` : ""} · ${escapeHtml(date)}</div>
+      </header>
+      <section>
+        <h2>Inputs</h2>
+        ${reportTable(["Item", "Value"], inputs)}
+        ${features.length ? reportTable(["Feature", "Method", "Qty", "Rate", "Flow", "Inlet head", "Branch head"], features) : ""}
+        ${reportTable(["Pump", "Qty", "System", "Arrangement"], pumpRows)}
+      </section>
+      <section>
+        <h2>Flow breakdown</h2>
+        ${reportTable(["Requirement", "Flow"], flows)}
+      </section>
+      <section>
+        <h2>Results by mode</h2>
+        ${reportTable(["Mode", "Required", "Capacity", "Margin", "Result", "Notes"], modeRows)}
+        <p>Schedule: ${round1(sched.hours)} h/day, pool ${round2(sched.pool.turnovers)} turnovers/day (target ${sched.target}), ${round1(sched.kwhDay)} kWh/day, $${Math.round(sched.costYear)}/yr.</p>
+      </section>
+      ${scenarioTable ? `<section><h2>Scenario comparison</h2>${scenarioTable}</section>` : ""}
+      <section>
+        <h2>TDH derivation</h2>
+        ${reportTable(["System", "Flow", "Pipe length", "Friction", "Static / branch", "Equipment", "TDH"], tdhDerivationRows())}
+      </section>
+      <section class="reportBreak">
+        <h2>Pump curves</h2>
+        ${charts}
+      </section>
+      <section>
+        <h2>Notes</h2>
+        ${p.notes ? `<p class="reportNotes">${escapeHtml(p.notes)}</p>` : "<p>—</p>"}
+        <p class="reportDisclaimer">${escapeHtml(REPORT_DISCLAIMER)}</p>
+      </section>
+    `;
   }
 
   function renderAll() {
+    renderUnitLabels();
     renderProject();
     renderWaterFeatures();
     renderSpa();
+    renderScenarioBar();
     renderPumps();
+    renderSpeedPlan();
+    renderRecommendations();
+    renderFilter();
+    renderSuction();
     renderEngineeringInputs();
     renderSummary();
     renderCurveViewer();
     if (state.ui.curvesModalOpen) renderCurvesModal();
+    if (!el.compareModal.classList.contains("hidden")) renderComparison();
   }
 
   /* -----------------------------
@@ -1157,5 +2817,8 @@
   loadAll();
   bind();
   renderAll();
+  historyLast = historySnapshot();
+  renderHistoryButtons();
+  saveCurrentToLibrary().catch(() => {});
 
 })();
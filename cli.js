@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+/* ============================================================
+   Pool Pump Sizing Tool - cli.js
+   Runs the engine on exported project files (pool-pump-sizing.json):
+     node cli.js <project.json>... [--format text|json|csv] [--out <file>]
+   Exit code 1 when a file can't be read or is rejected, 2 when any mode fails.
+   ============================================================ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const engine = require("./engine.js");
+
+const FORMATS = ["text", "json", "csv"];
+const USAGE = "Usage: node cli.js <project.json>... [--format text|json|csv] [--out <file>]";
+
+function parseArgs(argv) {
+  const args = { files: [], format: "text", out: "" };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--format" || a === "-f") args.format = argv[++i];
+    else if (a.startsWith("--format=")) args.format = a.slice(9);
+    else if (a === "--out" || a === "-o") args.out = argv[++i];
+    else if (a.startsWith("--out=")) args.out = a.slice(6);
+    else if (a === "--help" || a === "-h") args.help = true;
+    else args.files.push(a);
+  }
+  return args;
+}
+
+// One project file → { name, project, results } or { name, errors }
+function runFile(file) {
+  const name = path.basename(file);
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    return { name, errors: [`Could not read: ${e.message}`] };
+  }
+
+  const read = engine.readProjectFile(parsed);
+  if (!read.file) return { name, errors: read.errors };
+
+  // As in the browser, the file's curves join the bundled catalog
+  const catalog = { ...engine.DEFAULT_CURVES, ...(read.file.curves || {}) };
+  const state = read.file.state || {};
+  return { name, project: state.project || {}, results: engine.computeResults(state, catalog) };
+}
+
+const passed = (run) => !run.errors && run.results.modes.every(m => m.pass !== false);
+
+const fixed = (v, d = 1) => (Number.isFinite(v) ? v.toFixed(d) : "—");
+const pct = (v) => (Number.isFinite(v) ? `${v >= 0 ? "+" : ""}${(v * 100).toFixed(1)}%` : "—");
+const verdict = (pass) => (pass === null ? "—" : pass ? "PASS" : "FAIL");
+
+function dutyText(e, u) {
+  return (e?.pumps || []).filter(p => p.flow > 0)
+    .map(p => `${p.model} ${fixed(p.flow)} ${u.flow} @ ${fixed(p.head)} ${u.head}${p.rpm ? `, ${p.rpm} RPM` : ""}`)
+    .join("; ");
+}
+
+function textReport(run) {
+  if (run.errors) return [`${run.name}: not checked`, ...run.errors.map(e => `  ${e}`)].join("\n");
+
+  const r = run.results;
+  const u = r.units;
+  const p = run.project;
+  const lines = [`${run.name}${p.client ? ` — ${p.client}` : ""}${p.city ? `, ${p.city}` : ""}`];
+
+  lines.push("", "Systems");
+  for (const s of r.systems) {
+    lines.push(`  ${s.system.padEnd(10)} required ${fixed(s.requiredFlow)} ${u.flow}, capacity ${fixed(s.capacity)} ${u.flow}  ${verdict(s.pass)}`);
+    for (const x of s.pumps) {
+      lines.push(`    ${x.model} × ${x.qty}: ${x.flow === null ? "cannot run" : `${fixed(x.flow)} ${u.flow} @ ${fixed(x.head)} ${u.head}, ${x.rpm} RPM`}`);
+    }
+  }
+
+  lines.push("", "Modes");
+  for (const m of r.modes) {
+    if (m.pass === null) {
+      lines.push(`  ${m.name.padEnd(14)} not used`);
+      continue;
+    }
+    const cost = m.energy ? `, ${fixed(m.energy.kw, 2)} kW, $${Math.round(m.energy.costPerYear)}/yr` : "";
+    lines.push(`  ${m.name.padEnd(14)} ${fixed(m.requiredFlow)} ${u.flow}, margin ${pct(m.margin)}${cost}  ${verdict(m.pass)}`);
+    const duty = dutyText(m.energy, u);
+    if (duty) lines.push(`    ${duty}`);
+    for (const c of m.suction.filter(c => !c.pass)) lines.push(`    ${c.body} suction: ${c.issues.join("; ")}`);
+  }
+  for (const f of r.filter.filter(f => !f.pass)) {
+    lines.push(`  Filter in ${f.mode}: ${fixed(f.rate, 2)} over a maximum of ${fixed(f.maxRate, 2)}${f.overRated ? ", above rating" : ""}`);
+  }
+
+  const sc = r.schedule;
+  lines.push("", `Schedule: ${fixed(sc.slots.reduce((s, x) => s + x.hours, 0))} h/day, ${fixed(sc.poolTurnovers, 2)} pool turnovers/day, ${fixed(sc.kwhPerDay)} kWh/day, $${Math.round(sc.costPerYear)}/yr`);
+  lines.push(`Result: ${passed(run) ? "PASS" : "FAIL"}`);
+  return lines.join("\n");
+}
+
+const CSV_COLUMNS = ["file", "client", "city", "mode", "result", "required_flow", "margin_pct", "duty", "kw", "kwh_per_day", "cost_per_year", "flow_unit", "head_unit"];
+
+function csvCell(v) {
+  const s = v === null || v === undefined ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// One row per mode; a rejected file gets a single row with the problems in "duty"
+function csvRows(run) {
+  if (run.errors) return [[run.name, "", "", "", "ERROR", "", "", run.errors.join("; "), "", "", "", "", ""]];
+  const r = run.results;
+  return r.modes.map(m => [
+    run.name, run.project.client || "", run.project.city || "", m.name,
+    m.pass === null ? "" : verdict(m.pass),
+    fixed(m.requiredFlow, 2),
+    Number.isFinite(m.margin) ? (m.margin * 100).toFixed(1) : "",
+    dutyText(m.energy, r.units),
+    m.energy ? fixed(m.energy.kw, 3) : "",
+    m.energy ? fixed(m.energy.kwhPerDay, 2) : "",
+    m.energy ? fixed(m.energy.costPerYear, 0) : "",
+    r.units.flow, r.units.head,
+  ]);
+}
+
+function render(runs, format) {
+  if (format === "json") {
+    const out = runs.map(run => (run.errors ? { file: run.name, errors: run.errors } : { file: run.name, client: run.project.client || "", city: run.project.city || "", results: run.results }));
+    return JSON.stringify(runs.length === 1 ? out[0] : out, null, 2);
+  }
+  if (format === "csv") {
+    return [CSV_COLUMNS, ...runs.flatMap(csvRows)].map(row => row.map(csvCell).join(",")).join("\n");
+  }
+  return runs.map(textReport).join("\n\n");
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!args.files.length || !FORMATS.includes(args.format)) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  const runs = args.files.map(runFile);
+  const output = render(runs, args.format) + "\n";
+  if (args.out) fs.writeFileSync(args.out, output);
+  else process.stdout.write(output);
+
+  if (runs.some(run => run.errors)) return 1;
+  return runs.every(passed) ? 0 : 2;
+}
+
+if (require.main === module) process.exitCode = main(process.argv.slice(2));
+
+module.exports = { runFile, render, main };
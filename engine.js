@@ -0,0 +1,2181 @@
+/* ============================================================
+   Pool Pump Sizing Tool - engine.js
+   Calculation engine with no DOM: data tables, hydraulics, pump curves, valve modes,
+   schedule, checks and the project file format. Loads as a browser global
+   (PoolPumpEngine, used by app.js) or as a CommonJS module (cli.js, tests).
+   ============================================================ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.PoolPumpEngine = factory();
+})(typeof globalThis !== "undefined" ? globalThis : this, () => {
+  "use strict";
+
+  /* -----------------------------
+     Helpers
+  ----------------------------- */
+  const num = (v, d = 0) => {
+    const x = parseFloat(String(v ?? "").trim());
+    return Number.isFinite(x) ? x : d;
+  };
+
+  const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+  const round1 = (x) => Math.round((x + Number.EPSILON) * 10) / 10;
+  const round2 = (x) => Math.round((x + Number.EPSILON) * 100) / 100;
+  const safeId = () => Math.random().toString(36).slice(2, 10);
+  const isBubblerType = (t) => String(t || "").trim().toLowerCase() === "bubbler";
+
+  function parsePoints(text) {
+    const lines = String(text || "")
+      .split(/\r?\n/)
+      .map((l) => l.trim())
+      .filter(Boolean);
+
+    const pts = [];
+    for (const line of lines) {
+      const parts = line.split(/[,\s;]+/).map((s) => s.trim()).filter(Boolean);
+      if (parts.length < 2) continue;
+      const gpm = num(parts[0], NaN);
+      const tdh = num(parts[1], NaN);
+      if (!(gpm >= 0) || !(tdh >= 0)) continue;
+      const watts = num(parts[2], NaN);
+      pts.push(watts >= 0 ? { gpm, tdh, watts } : { gpm, tdh });
+    }
+    pts.sort((a, b) => a.gpm - b.gpm);
+    return pts;
+  }
+
+  function pointsToText(points) {
+    return (points || []).map((p) => (Number.isFinite(p.watts) ? `${p.gpm},${p.tdh},${p.watts}` : `${p.gpm},${p.tdh}`)).join("\n");
+  }
+
+  /* -----------------------------
+     Units (conversion factors)
+  ----------------------------- */
+  const FT_TO_M = 0.3048;
+  const UNIT_SYSTEMS = {
+    us: {
+      volume: { label: "gal", f: 1 },
+      area: { label: "ft²", f: 1 },
+      flow: { label: "GPM", f: 1 },
+      head: { label: "ft", f: 1 },
+      length: { label: "ft", f: 1 },
+      velocity: { label: "ft/s", f: 1 },
+      flowPerLength: { label: "GPM/ft", f: 1 },
+      size: { label: "in", f: 1 },
+      flowPerArea: { label: "GPM/ft²", f: 1 },
+    },
+    metric: {
+      volume: { label: "m³", f: 0.00378541 },
+      area: { label: "m²", f: FT_TO_M * FT_TO_M },
+      head: { label: "m", f: FT_TO_M },
+      length: { label: "m", f: FT_TO_M },
+      velocity: { label: "m/s", f: FT_TO_M },
+      size: { label: "mm", f: 25.4 },
+    },
+  };
+  const METRIC_FLOWS = {
+    m3h: { label: "m³/h", f: 0.227125 },
+    lpm: { label: "L/min", f: 3.78541 },
+  };
+  // Nominal inch sizes shown as their metric DN
+  const PIPE_DN = { 1.5: 40, 2: 50, 2.5: 65, 3: 80 };
+
+  /* -----------------------------
+     Default Data
+  ----------------------------- */
+  // model: how flow is worked out when a row uses the hydraulic method (see Water feature hydraulics)
+  const WATER_FEATURE_TYPES = [
+    { id: "Sheer", label: "Sheer", model: "weir", defaults: { sheetIn: 0.25 } },
+    { id: "Deck Jet", label: "Deck Jet", model: "nozzle", defaults: { orificeIn: 0.375, arcFt: 6, arcHeightFt: 2 } },
+    { id: "Laminar", label: "Laminar", model: "nozzle", defaults: { orificeIn: 0.5, arcFt: 7, arcHeightFt: 3 } },
+    { id: "Rain Curtain", label: "Rain Curtain", model: "weir", defaults: { sheetIn: 0.25 } },
+    { id: "Scupper", label: "Scupper", model: "weir", defaults: { sheetIn: 0.5 } },
+    { id: "Bubbler", label: "Bubbler", model: "table", defaults: { bubbleIn: 6 } },
+  ];
+
+  const DEFAULT_CURVES = {
+    "Jandy VS FloPro 2.7 HP": {
+      modelLabel: "Jandy VS FloPro 2.7 HP",
+      variableSpeed: true, minRpm: 600, maxRpm: 3450,
+      rpmLines: [
+        { rpm: 3450, label: "3450 RPM", points: [{gpm:0,tdh:95,watts:1500},{gpm:30,tdh:92,watts:1740},{gpm:60,tdh:86,watts:1980},{gpm:90,tdh:75,watts:2220},{gpm:120,tdh:55,watts:2460},{gpm:135,tdh:44,watts:2580}] },
+        { rpm: 3000, label: "3000 RPM", points: [{gpm:0,tdh:75,watts:990},{gpm:30,tdh:71,watts:1170},{gpm:60,tdh:63,watts:1350},{gpm:90,tdh:50,watts:1530},{gpm:120,tdh:33,watts:1710}] },
+        { rpm: 2750, label: "2750 RPM", points: [{gpm:0,tdh:63,watts:760},{gpm:30,tdh:59,watts:910},{gpm:60,tdh:54,watts:1060},{gpm:90,tdh:40,watts:1220},{gpm:110,tdh:26,watts:1320}] },
+      ],
+    },
+    "Jandy VS FloPro 1.85 HP": {
+      modelLabel: "Jandy VS FloPro 1.85 HP",
+      variableSpeed: true, minRpm: 600, maxRpm: 3450,
+      rpmLines: [
+        { rpm: 3450, label: "3450 RPM", points: [{gpm:0,tdh:78,watts:1100},{gpm:30,tdh:74,watts:1280},{gpm:60,tdh:68,watts:1460},{gpm:90,tdh:58,watts:1640},{gpm:110,tdh:45,watts:1760},{gpm:120,tdh:32,watts:1820}] },
+        { rpm: 3000, label: "3000 RPM", points: [{gpm:0,tdh:58,watts:720},{gpm:30,tdh:55,watts:860},{gpm:60,tdh:50,watts:1000},{gpm:90,tdh:38,watts:1130},{gpm:105,tdh:25,watts:1200}] },
+      ],
+    },
+    "Jandy FloPro FHPM 1.0 HP": {
+      modelLabel: "Jandy FloPro FHPM 1.0 HP",
+      rpmLines: [
+        { rpm: 3450, label: "3450 RPM", points: [{gpm:0,tdh:56,watts:900},{gpm:25,tdh:52,watts:1020},{gpm:50,tdh:44,watts:1150},{gpm:70,tdh:33,watts:1250},{gpm:85,tdh:22,watts:1320}] },
+        { rpm: 2400, label: "2400 RPM", points: [{gpm:0,tdh:28,watts:300},{gpm:25,tdh:25,watts:360},{gpm:50,tdh:18,watts:420},{gpm:60,tdh:12,watts:450}] },
+      ],
+    },
+    "Jandy VS FloPro 3.8 HP": {
+      modelLabel: "Jandy VS FloPro 3.8 HP",
+      variableSpeed: true, minRpm: 600, maxRpm: 3450,
+      rpmLines: [
+        { rpm: 3450, label: "3450 RPM", points: [{gpm:0,tdh:102,watts:2000},{gpm:40,tdh:98,watts:2360},{gpm:80,tdh:92,watts:2720},{gpm:120,tdh:78,watts:3080},{gpm:160,tdh:50,watts:3440},{gpm:185,tdh:38,watts:3660}] },
+        { rpm: 3000, label: "3000 RPM", points: [{gpm:0,tdh:76,watts:1320},{gpm:40,tdh:74,watts:1590},{gpm:80,tdh:69,watts:1860},{gpm:120,tdh:56,watts:2130},{gpm:160,tdh:30,watts:2400}] },
+      ],
+    },
+  };
+
+  // Fitting/valve losses as K × v²/2g. Equivalent length is reported alongside for the takeoff.
+  const FITTING_TYPES = [
+    { id: "elbow90", label: "90° elbow", K: 0.75 },
+    { id: "sweep90", label: "90° sweep", K: 0.4 },
+    { id: "elbow45", label: "45° elbow", K: 0.35 },
+    { id: "teeRun", label: "Tee (run)", K: 0.4 },
+    { id: "teeBranch", label: "Tee (branch)", K: 1.5 },
+    { id: "check", label: "Check valve", K: 2.0 },
+    { id: "ball", label: "Ball valve (open)", K: 0.1 },
+    { id: "gate", label: "Gate valve (open)", K: 0.2 },
+    { id: "diverter3", label: "3-way diverter", K: 3.0 },
+    { id: "entrance", label: "Suction inlet (drain/skimmer)", K: 0.5 },
+    { id: "exit", label: "Return outlet", K: 1.0 },
+  ];
+
+  const DEFAULT_FITTINGS = [
+    { type: "elbow90", qty: 8 },
+    { type: "teeRun", qty: 2 },
+    { type: "check", qty: 1 },
+    { type: "diverter3", qty: 2 },
+    { type: "entrance", qty: 1 },
+    { type: "exit", qty: 1 },
+  ];
+
+  // Bundled head-loss tables (ft vs GPM) for pad equipment; each item on a project keeps its own editable copy
+  const EQUIPMENT_LIBRARY = [
+    { id: "cartridge", label: "Cartridge filter", table: [{gpm:0,ft:0},{gpm:40,ft:1.5},{gpm:80,ft:4},{gpm:120,ft:8},{gpm:160,ft:13}] },
+    { id: "sand", label: "Sand filter", table: [{gpm:0,ft:0},{gpm:40,ft:3},{gpm:60,ft:6},{gpm:80,ft:10},{gpm:100,ft:15}] },
+    { id: "heater", label: "Gas heater", table: [{gpm:0,ft:0},{gpm:40,ft:3},{gpm:70,ft:6.5},{gpm:100,ft:12},{gpm:120,ft:16}] },
+    { id: "heatpump", label: "Heat pump", table: [{gpm:0,ft:0},{gpm:30,ft:1.5},{gpm:60,ft:4},{gpm:90,ft:8},{gpm:120,ft:14}] },
+    { id: "saltcell", label: "Salt cell", table: [{gpm:0,ft:0},{gpm:40,ft:0.5},{gpm:80,ft:1.5},{gpm:120,ft:3.5}] },
+    { id: "uv", label: "UV sanitizer", table: [{gpm:0,ft:0},{gpm:40,ft:0.7},{gpm:80,ft:2.5},{gpm:120,ft:5}] },
+    { id: "checkvalve", label: "Check valve (pad)", table: [{gpm:0,ft:0.6},{gpm:40,ft:1},{gpm:80,ft:2.5},{gpm:120,ft:5}] },
+  ];
+
+  const DEFAULT_EQUIPMENT = ["cartridge", "heater"];
+
+  // Maximum filtration rate (GPM/ft²) by filter type and installation
+  const FILTER_TYPES = [
+    { id: "cartridge", label: "Cartridge", maxRate: { residential: 1.0, commercial: 0.375 } },
+    { id: "sand", label: "Sand (high-rate)", maxRate: { residential: 20, commercial: 15 } },
+    { id: "de", label: "DE", maxRate: { residential: 2.0, commercial: 1.5 } },
+  ];
+
+  // Typical sizes: filter area (ft²) and the manufacturer's rated flow (GPM)
+  const FILTER_LIBRARY = [
+    { id: "cart-200", type: "cartridge", label: "Cartridge 200 ft²", area: 200, rated: 100 },
+    { id: "cart-320", type: "cartridge", label: "Cartridge 320 ft²", area: 320, rated: 150 },
+    { id: "cart-420", type: "cartridge", label: "Cartridge 420 ft²", area: 420, rated: 150 },
+    { id: "cart-520", type: "cartridge", label: "Cartridge 520 ft²", area: 520, rated: 150 },
+    { id: "sand-24", type: "sand", label: "Sand 24\" tank (3.1 ft²)", area: 3.1, rated: 62 },
+    { id: "sand-30", type: "sand", label: "Sand 30\" tank (4.9 ft²)", area: 4.9, rated: 98 },
+    { id: "sand-36", type: "sand", label: "Sand 36\" tank (7.0 ft²)", area: 7.0, rated: 140 },
+    { id: "de-36", type: "de", label: "DE 36 ft²", area: 36, rated: 72 },
+    { id: "de-48", type: "de", label: "DE 48 ft²", area: 48, rated: 96 },
+    { id: "de-60", type: "de", label: "DE 60 ft²", area: 60, rated: 120 },
+  ];
+
+  /* -----------------------------
+     Volume builder (plan shape × depth profile + attached areas)
+     Dimensions in ft, areas in ft², result in gallons
+  ----------------------------- */
+  const GAL_PER_FT3 = 7.48052;
+
+  const POOL_SHAPES = [
+    { id: "rect", label: "Rectangle", fields: ["length", "width"] },
+    { id: "oval", label: "Oval", fields: ["length", "width"] },
+    { id: "kidney", label: "Kidney", fields: ["length", "width", "width2"] },
+    { id: "lshape", label: "L-shape", fields: ["length", "width", "length2", "width2"] },
+    { id: "freeform", label: "Freeform (area)", fields: ["area"] },
+  ];
+
+  const DEPTH_PROFILES = [
+    { id: "constant", label: "Constant", fields: ["depth"] },
+    { id: "shallowDeep", label: "Shallow / deep with transition", fields: ["shallow", "deep", "shallowPct", "transitionPct"] },
+    { id: "hopper", label: "Sport / diving hopper", fields: ["shallow", "deep", "hopperPct"] },
+  ];
+
+  const EXTRA_TYPES = [
+    { id: "bench", label: "Bench" },
+    { id: "shelf", label: "Sun shelf" },
+  ];
+
+  function newVolumeBuilder(overrides) {
+    return {
+      enabled: false, shape: "rect", length: 32, width: 16, length2: 10, width2: 10, area: 450,
+      profile: "shallowDeep", depth: 4.5, shallow: 3.5, deep: 6, shallowPct: 40, transitionPct: 20, hopperPct: 30,
+      extras: [],
+      ...overrides,
+    };
+  }
+
+  function shapeArea(vb) {
+    const L = num(vb.length, 0), W = num(vb.width, 0);
+    switch (vb.shape) {
+      case "oval": return (Math.PI / 4) * L * W;
+      // Common takeoff rule for kidneys: 0.45 × (wide end + narrow end) × length
+      case "kidney": return 0.45 * (W + num(vb.width2, 0)) * L;
+      // Leg 2 is measured clear of leg 1
+      case "lshape": return L * W + num(vb.length2, 0) * num(vb.width2, 0);
+      case "freeform": return num(vb.area, 0);
+      default: return L * W;
+    }
+  }
+
+  function averageDepth(vb) {
+    const s = num(vb.shallow, 0), d = num(vb.deep, 0);
+    switch (vb.profile) {
+      case "shallowDeep": {
+        const fs = clamp(num(vb.shallowPct, 0), 0, 100) / 100;
+        const ft = clamp(num(vb.transitionPct, 0), 0, 100 - fs * 100) / 100;
+        return fs * s + ft * (s + d) / 2 + (1 - fs - ft) * d;
+      }
+      // Hopper floor slopes from the shallow floor down to the deep point: half the drop on average
+      case "hopper": return s + (d - s) * (clamp(num(vb.hopperPct, 0), 0, 100) / 100) * 0.5;
+      default: return num(vb.depth, 0);
+    }
+  }
+
+  function builtVolume(vb) {
+    const area = shapeArea(vb);
+    const avgDepth = averageDepth(vb);
+    const extras = (vb.extras || []).reduce((a, x) => a + num(x.length, 0) * num(x.width, 0) * num(x.depth, 0), 0);
+    const ft3 = Math.max(0, area * avgDepth + extras);
+    return { area, avgDepth, extrasFt3: extras, gallons: ft3 * GAL_PER_FT3 };
+  }
+
+  /* -----------------------------
+     Water feature hydraulics
+     weir:   free overfall, brink depth ≈ 0.715·yc, q = √(g·yc³) per ft of lip; inlet needs E = 1.5·yc
+     nozzle: launch speed from the arc's throw and rise, Q = A·v, inlet head v²/(2g·Cv²)
+     table:  bubbler flow and inlet head interpolated on bubble height
+     Rows on the manual method keep Qty × Width × GPM/ft (bubblers: GPM each).
+  ----------------------------- */
+  const CFS_TO_GPM = 448.831;
+  const BRINK_DEPTH_RATIO = 0.715;
+  const NOZZLE_CV = 0.95;
+
+  // Typical 1-1/2" bubbler: bubble height above the water (in) → GPM each, inlet head (ft)
+  const BUBBLER_TABLE = [
+    { heightIn: 2, gpm: 9, headFt: 1.0 },
+    { heightIn: 4, gpm: 13, headFt: 1.5 },
+    { heightIn: 6, gpm: 16, headFt: 2.0 },
+    { heightIn: 9, gpm: 20, headFt: 2.8 },
+    { heightIn: 12, gpm: 23, headFt: 3.5 },
+    { heightIn: 18, gpm: 28, headFt: 5.0 },
+  ];
+
+  function featureType(id) {
+    return WATER_FEATURE_TYPES.find(t => t.id === id) || WATER_FEATURE_TYPES[0];
+  }
+
+  function newWaterFeature(type, overrides) {
+    const t = featureType(type);
+    return { id: safeId(), type: t.id, method: "hydraulic", qty: 1, width: t.model === "weir" ? 2 : 1, gpmPerFt: 0, elevFt: 0, residualFt: "", branchFt: 0, branchIn: 1.5, ...t.defaults, ...overrides };
+  }
+
+  // Flow per foot of lip, or per unit when there is no lip
+  function featurePerFt(wf) {
+    return wf.method === "hydraulic" ? featureType(wf.type).model === "weir" : !isBubblerType(wf.type);
+  }
+
+  function weirFlow(sheetIn) {
+    const yc = Math.max(0, num(sheetIn, 0)) / 12 / BRINK_DEPTH_RATIO;
+    return { rate: Math.sqrt(GRAVITY * yc ** 3) * CFS_TO_GPM, inletHead: 1.5 * yc };
+  }
+
+  function nozzleFlow(orificeIn, arcFt, arcHeightFt) {
+    const d = num(orificeIn, 0) / 12;
+    const L = num(arcFt, 0);
+    const H = num(arcHeightFt, 0);
+    if (!(d > 0 && L > 0 && H > 0)) return { rate: 0, inletHead: 0 };
+    // Same-level landing: tanθ = 4H/L, v² = g·L / sin2θ
+    const theta = Math.atan((4 * H) / L);
+    const v2 = (GRAVITY * L) / Math.sin(2 * theta);
+    return { rate: (Math.PI / 4) * d * d * Math.sqrt(v2) * CFS_TO_GPM, inletHead: v2 / (2 * GRAVITY * NOZZLE_CV * NOZZLE_CV), angle: (theta * 180) / Math.PI };
+  }
+
+  function bubblerFlow(heightIn) {
+    const h = clamp(num(heightIn, 0), BUBBLER_TABLE[0].heightIn, BUBBLER_TABLE[BUBBLER_TABLE.length - 1].heightIn);
+    const i = Math.max(0, BUBBLER_TABLE.findIndex(r => r.heightIn >= h) - 1);
+    const a = BUBBLER_TABLE[i];
+    const b = BUBBLER_TABLE[i + 1];
+    const t = (h - a.heightIn) / (b.heightIn - a.heightIn);
+    return { rate: a.gpm + t * (b.gpm - a.gpm), inletHead: a.headFt + t * (b.headFt - a.headFt) };
+  }
+
+  // { rate, perFt, inletHead } — inletHead is NaN on the manual method
+  function featureHydraulics(wf) {
+    const perFt = featurePerFt(wf);
+    if (wf.method !== "hydraulic") return { rate: num(wf.gpmPerFt, 0), perFt, inletHead: NaN };
+    const model = featureType(wf.type).model;
+    const r = model === "weir" ? weirFlow(wf.sheetIn)
+      : model === "nozzle" ? nozzleFlow(wf.orificeIn, wf.arcFt, wf.arcHeightFt)
+      : bubblerFlow(wf.bubbleIn);
+    return { ...r, perFt };
+  }
+
+  /* -----------------------------
+     Affinity laws (variable-speed pumps)
+     Q ∝ N, H ∝ N² from the model's highest stored RPM line
+  ----------------------------- */
+  function referenceLine(model) {
+    let ref = null;
+    for (const line of (model?.rpmLines || [])) {
+      if ((line.points || []).length < 2) continue;
+      if (!ref || num(line.rpm, 0) > num(ref.rpm, 0)) ref = line;
+    }
+    return ref;
+  }
+
+  function speedRange(model) {
+    const ref = referenceLine(model);
+    if (!ref) return null;
+    const max = Math.round(num(model.maxRpm, ref.rpm));
+    const storedMin = Math.min(...model.rpmLines.map(l => num(l.rpm, max)));
+    const min = model.variableSpeed ? Math.round(num(model.minRpm, 600)) : storedMin;
+    return { min: Math.min(min, max), max };
+  }
+
+  function affinityLine(model, rpm) {
+    const ref = referenceLine(model);
+    if (!ref) return null;
+    const r = rpm / num(ref.rpm, rpm);
+    return {
+      rpm,
+      label: `${rpm} RPM`,
+      derived: true,
+      // P ∝ N³
+      points: ref.points.map(p => (Number.isFinite(p.watts)
+        ? { gpm: p.gpm * r, tdh: p.tdh * r * r, watts: p.watts * r * r * r }
+        : { gpm: p.gpm * r, tdh: p.tdh * r * r })),
+    };
+  }
+
+  // Curve a pump runs on at a given speed: stored line if there is one, a derived line for
+  // variable-speed models, otherwise the fastest stored speed not above rpm (single/two-speed).
+  function lineAtRpm(model, rpm) {
+    const lines = (model?.rpmLines || []).filter(l => (l.points || []).length >= 2);
+    const exact = lines.find(l => num(l.rpm, 0) === rpm);
+    if (exact) return exact;
+    if (model?.variableSpeed) return affinityLine(model, rpm);
+    let best = null;
+    for (const l of lines) {
+      if (num(l.rpm, 0) <= rpm && (!best || num(l.rpm, 0) > num(best.rpm, 0))) best = l;
+    }
+    return best;
+  }
+
+  /* -----------------------------
+     Valve mode records
+     Options and the default set; rating is in the engine's Valve modes
+  ----------------------------- */
+  const MODE_SPA_OPTIONS = [
+    { id: "off", label: "Off" },
+    { id: "jets", label: "Jets / heat" },
+    { id: "spillover", label: "Spillover" },
+  ];
+
+  const MODE_RETURNS = [
+    { id: "Shared", label: "Main returns" },
+    { id: "Pool", label: "Pool returns" },
+    { id: "Spa", label: "Spa returns" },
+    { id: "Water", label: "Feature returns" },
+  ];
+
+  function newMode(overrides) {
+    return { id: safeId(), name: "Mode", pool: false, spa: "off", features: [], returns: "Shared", tdh: "", hours: 0, ...overrides };
+  }
+
+  function defaultModes(poolHours = 8, spaHours = 1) {
+    return [
+      newMode({ name: "Pool", pool: true, features: "all", returns: "Shared", hours: poolHours }),
+      newMode({ name: "Spa", spa: "jets", returns: "Spa", hours: spaHours }),
+      newMode({ name: "Spillover", spa: "spillover", returns: "Spa" }),
+      newMode({ name: "Feature only", features: "all", returns: "Water" }),
+    ];
+  }
+
+  const modeHasFeature = (mode, wf) => mode.features === "all" || (Array.isArray(mode.features) && mode.features.includes(wf.id));
+
+  /* -----------------------------
+     Schedule clock
+     The default schedule and HH:MM helpers; slots are rated in the engine's Daily schedule
+  ----------------------------- */
+  function defaultSchedule(modes) {
+    const pool = modes.find(m => m.pool) || modes[0];
+    return {
+      targetTurnovers: 1,
+      slots: pool ? [
+        { id: safeId(), start: "08:00", end: "18:00", modeId: pool.id, rpm: 2750 },
+        { id: safeId(), start: "18:00", end: "20:00", modeId: pool.id, rpm: 3450 },
+      ] : [],
+    };
+  }
+
+  function clockHours(text) {
+    const m = /^(\d{1,2}):(\d{2})$/.exec(String(text || "").trim());
+    return m ? clamp(Number(m[1]) + Number(m[2]) / 60, 0, 24) : NaN;
+  }
+
+  function slotHours(slot) {
+    const a = clockHours(slot.start);
+    const b = clockHours(slot.end);
+    if (!Number.isFinite(a) || !Number.isFinite(b)) return 0;
+    return b >= a ? b - a : b + 24 - a;
+  }
+
+  function clockText(hours) {
+    const min = Math.round((((hours % 24) + 24) % 24) * 60);
+    return `${String(Math.floor(min / 60)).padStart(2, "0")}:${String(min % 60).padStart(2, "0")}`;
+  }
+
+  /* -----------------------------
+     Suction outlet records
+     Defaults per body and where each mode draws from; checked in the engine's Suction outlets
+  ----------------------------- */
+  const DRAIN_MIN_SEPARATION_IN = 36;
+
+  function newSuctionSet(body, overrides) {
+    return { body, enabled: true, drains: 2, coverRated: 150, separationIn: 36, unblockable: false, skimmers: 1, drainPipeIn: 3, headerIn: 3, ...overrides };
+  }
+
+  // Where each group in a mode draws from: spa jets pull from the spa, everything else
+  // (pool, features, spillover) from the pool
+  function modeSuctionFlows(result) {
+    const flows = { Pool: 0, Spa: 0 };
+    for (const g of result.groups) {
+      for (const b of g.bodies) {
+        const src = b === "Spa" && result.mode.spa === "jets" ? "Spa" : "Pool";
+        flows[src] += g.cap * result.parts[b] / g.req;
+      }
+    }
+    return flows;
+  }
+
+  /* -----------------------------
+     Pipe, fittings and equipment
+     Hazen–Williams friction, K-factor fittings and equipment loss tables
+  ----------------------------- */
+  // Nominal sizes offered in the UI with their Schedule 40 inside diameters (in)
+  const PIPE_SCH40 = [
+    { nominal: 1.5, id: 1.610 },
+    { nominal: 2, id: 2.067 },
+    { nominal: 2.5, id: 2.469 },
+    { nominal: 3, id: 3.068 },
+  ];
+  const PIPE_SIZES_IN = PIPE_SCH40.map(p => p.nominal);
+
+  function insideDiameter(nominal) {
+    const n = num(nominal, 2.5);
+    const row = PIPE_SCH40.find(p => p.nominal === n);
+    return row ? row.id : clamp(n, 1.0, 6.0);
+  }
+
+  const PIPE_SIDES = [
+    { id: "suction", label: "Suction" },
+    { id: "return", label: "Return" },
+  ];
+
+  // Which pump systems a segment carries flow for ("All" = common pad piping)
+  const SEGMENT_SERVES = [
+    { id: "All", label: "All" },
+    { id: "Shared", label: "Shared" },
+    { id: "Pool", label: "Pool" },
+    { id: "Water", label: "Water Features" },
+    { id: "Spa", label: "Spa" },
+  ];
+
+  const GRAVITY = 32.174; // ft/s²
+
+  function newEquipment(type) {
+    const lib = EQUIPMENT_LIBRARY.find(x => x.id === type) || EQUIPMENT_LIBRARY[0];
+    return { id: safeId(), type: lib.id, name: lib.label, serves: "All", table: lib.table.map(p => ({ ...p })) };
+  }
+
+  // Head loss (ft) of one equipment item at Q GPM. Past the table it grows with Q².
+  function equipmentLoss(item, gpm) {
+    const t = (item.table || []).filter(p => Number.isFinite(p.gpm) && Number.isFinite(p.ft)).sort((a, b) => a.gpm - b.gpm);
+    if (!t.length || gpm <= 0) return 0;
+    if (gpm <= t[0].gpm) return t[0].ft;
+    const last = t[t.length - 1];
+    if (gpm >= last.gpm) return last.gpm > 0 ? last.ft * Math.pow(gpm / last.gpm, 2) : last.ft;
+    for (let i = 0; i < t.length - 1; i++) {
+      const a = t[i];
+      const b = t[i + 1];
+      if (gpm > b.gpm) continue;
+      const denom = (b.gpm - a.gpm);
+      if (Math.abs(denom) < 1e-9) return b.ft;
+      return a.ft + ((gpm - a.gpm) / denom) * (b.ft - a.ft);
+    }
+    return last.ft;
+  }
+
+  function defaultFittings(sizeIn) {
+    return DEFAULT_FITTINGS.map(f => ({ id: safeId(), ...f, sizeIn, segId: "" }));
+  }
+
+  // Water velocity (ft/s) for Q GPM in a pipe of d inches
+  function velocityFps(gpm, d) {
+    if (gpm <= 0 || d <= 0) return 0;
+    const area = Math.PI * Math.pow(d / 12, 2) / 4;
+    return (gpm / 448.831) / area;
+  }
+
+  function fittingLoss(fit, gpm, d) {
+    const type = FITTING_TYPES.find(t => t.id === fit.type);
+    if (!type) return 0;
+    const v = velocityFps(gpm, d);
+    return Math.max(0, num(fit.qty, 0)) * type.K * v * v / (2 * GRAVITY);
+  }
+
+  // Hazen–Williams head loss (ft) for L ft of pipe, Q GPM, d inches
+  function hazenWilliams(L, Q, d, C) {
+    if (Q <= 0 || L <= 0 || d <= 0) return 0;
+    return 4.52 * L * Math.pow(Q, 1.85) / (Math.pow(C, 1.85) * Math.pow(d, 4.87));
+  }
+
+  // Friction over the segment list for one side: trunk segments (no branch) add up,
+  // parallel branches only count the worst one. Fittings on a segment travel with it.
+  function segmentFriction(segs, Q, C, fittings) {
+    const rows = segs.map((seg) => {
+      const gpm = Q * clamp(num(seg.flowPct, 100), 0, 100) / 100;
+      const d = insideDiameter(num(seg.sizeIn, 2));
+      const pipe = hazenWilliams(num(seg.length, 0), gpm, d, C);
+      const fits = fittings.filter(f => f.segId === seg.id).map(f => ({ fit: f, gpm, d, loss: fittingLoss(f, gpm, d) }));
+      const fitLoss = fits.reduce((a, f) => a + f.loss, 0);
+      return { seg, gpm, pipe, fitLoss, fits, friction: pipe + fitLoss, counted: true };
+    });
+
+    let friction = 0;
+    let L = 0;
+    const branches = {};
+    for (const r of rows) {
+      const b = String(r.seg.branch || "").trim();
+      if (!b) {
+        friction += r.friction;
+        L += num(r.seg.length, 0);
+        continue;
+      }
+      (branches[b] = branches[b] || []).push(r);
+    }
+    for (const list of Object.values(branches)) {
+      list.total = list.reduce((a, r) => a + r.friction, 0);
+    }
+    const worst = Object.values(branches).sort((a, b) => b.total - a.total)[0];
+    for (const list of Object.values(branches)) {
+      if (list === worst) {
+        friction += list.total;
+        L += list.reduce((a, r) => a + num(r.seg.length, 0), 0);
+      } else {
+        list.forEach(r => { r.counted = false; });
+      }
+    }
+    return { friction, L, rows };
+  }
+
+  /* -----------------------------
+     Project state
+     A fresh project, and saved data (localStorage, library, file) laid over one.
+  ----------------------------- */
+  function defaultState() {
+    const state = {
+      project: { client: "", city: "", notes: "", units: "us", metricFlow: "m3h", poolVol: 18000, volume: newVolumeBuilder(), turnoverH: 6, turnoverCustom: "" },
+      waterFeatures: [newWaterFeature("Sheer", { qty: 3 })],
+      spa: { enabled: false, setup: "shared", spaVol: 600, volume: newVolumeBuilder({ length: 8, width: 8, profile: "constant", depth: 3.5 }), spaTurnH: 6, jetsQty: 8, gpmPerJet: 12, spaTDH: 50, spillWidth: 3, spillRate: 12 },
+      pumps: [{ id: safeId(), model: "Jandy VS FloPro 2.7 HP", qty: 1, system: "Shared", arrangement: "parallel", tdh: 50 }],
+      energy: { rate: 0.15 },
+      modes: defaultModes(),
+      schedule: null,
+      suction: [newSuctionSet("Pool"), newSuctionSet("Spa", { skimmers: 0 })],
+      filter: { enabled: true, type: "cartridge", model: "cart-320", area: 320, rated: 150, use: "residential", serves: "All" },
+      engineering: { curveModel: "fit", extrapolatePct: 10, velSuctionMax: 6, velReturnMax: 8, eqDist: "", segments: [], fittings: defaultFittings(2.5), equipment: DEFAULT_EQUIPMENT.map(newEquipment), pipeIn: 2.5, elev: "", C: 140, estimatedTDH: NaN, estimatedFriction: 0, estimatedL: 0, warnText: "" },
+    };
+    state.schedule = defaultSchedule(state.modes);
+    state.scenarios = [newScenario("Base")];
+    state.activeScenario = state.scenarios[0].id;
+    return state;
+  }
+
+  // Saved sections replace or merge into state; view state (ui) is the caller's business
+  function applyProject(state, saved) {
+    Object.assign(state.project, saved.project || {});
+    state.waterFeatures = Array.isArray(saved.waterFeatures) ? saved.waterFeatures : state.waterFeatures;
+    Object.assign(state.spa, saved.spa || {});
+    state.pumps = Array.isArray(saved.pumps) ? saved.pumps : state.pumps;
+    Object.assign(state.engineering, saved.engineering || {});
+    Object.assign(state.energy, saved.energy || {});
+    state.modes = modesFrom(state, saved.modes, saved.energy);
+    state.schedule = scheduleFrom(state, saved.schedule);
+    Object.assign(state.filter, saved.filter || {});
+    state.suction = suctionFrom(state, saved.suction);
+    if (Array.isArray(saved.scenarios) && saved.scenarios.length) state.scenarios = saved.scenarios;
+    state.activeScenario = state.scenarios.some(sc => sc.id === saved.activeScenario) ? saved.activeScenario : state.scenarios[0].id;
+
+    // The flat fittings allowance and equipment head were replaced by the takeoff and equipment list
+    delete state.engineering.fitAllow;
+    delete state.engineering.equipHead;
+
+    normalizeWaterFeatures(state);
+  }
+
+  // Rows saved before the hydraulic models keep their typed GPM/ft; bubbler width stays 1
+  function normalizeWaterFeatures(state) {
+    state.waterFeatures.forEach((wf) => {
+      if (!wf.method) wf.method = "manual";
+      if (wf.method === "hydraulic") {
+        for (const [k, v] of Object.entries(featureType(wf.type).defaults)) if (wf[k] === undefined) wf[k] = v;
+      }
+      if (isBubblerType(wf.type)) wf.width = 1;
+    });
+  }
+
+  // Saves from before valve modes had Pool/Spa runtimes on state.energy
+  function modesFrom(state, saved, energy) {
+    if (Array.isArray(saved)) return saved;
+    const modes = defaultModes(num(energy?.poolHours, 8), num(energy?.spaHours, 1));
+    delete state.energy.poolHours;
+    delete state.energy.spaHours;
+    return modes;
+  }
+
+  function suctionFrom(state, saved) {
+    if (!Array.isArray(saved)) return state.suction;
+    return ["Pool", "Spa"].map(body => ({ ...newSuctionSet(body), ...(saved.find(x => x.body === body) || {}) }));
+  }
+
+  function scheduleFrom(state, saved) {
+    if (saved && Array.isArray(saved.slots)) return { targetTurnovers: 1, ...saved };
+    return defaultSchedule(state.modes);
+  }
+
+  // Curves saved before speed data existed: take it from the bundled model of the same name
+  function fillModelSpeedDefaults(curves) {
+    for (const k of Object.keys(curves)) {
+      const def = DEFAULT_CURVES[k];
+      if (!def || curves[k].variableSpeed !== undefined) continue;
+      curves[k].variableSpeed = !!def.variableSpeed;
+      if (def.minRpm) curves[k].minRpm = def.minRpm;
+      if (def.maxRpm) curves[k].maxRpm = def.maxRpm;
+    }
+  }
+
+  /* -----------------------------
+     Scenarios
+     Alternative equipment packages within one project. Pumps and engineering (pipe sizes,
+     fittings, equipment, curve settings) belong to a scenario; everything else is shared.
+     The open scenario's equipment is state.pumps / state.engineering, the others keep
+     theirs on their state.scenarios entry.
+  ----------------------------- */
+  function newScenario(name, equipment = {}) {
+    return { id: safeId(), name, ...equipment };
+  }
+
+  // A copy of state with sc's equipment in place, ready for createEngine
+  function scenarioState(state, sc) {
+    const { scenarios, ...shared } = state;
+    const copy = structuredClone(shared);
+    if (sc.id !== state.activeScenario) {
+      copy.pumps = structuredClone(sc.pumps || []);
+      copy.engineering = { ...defaultState().engineering, ...structuredClone(sc.engineering || {}) };
+      copy.activeScenario = sc.id;
+    }
+    return copy;
+  }
+
+  // Parks the open scenario's equipment on its entry and brings id's into state
+  function openScenario(state, id) {
+    const next = state.scenarios.find(sc => sc.id === id);
+    if (!next || id === state.activeScenario) return false;
+    const current = state.scenarios.find(sc => sc.id === state.activeScenario);
+    if (current) Object.assign(current, structuredClone({ pumps: state.pumps, engineering: state.engineering }));
+
+    state.pumps = next.pumps || [];
+    state.engineering = { ...defaultState().engineering, ...(next.engineering || {}) };
+    delete next.pumps;
+    delete next.engineering;
+    state.activeScenario = id;
+    return true;
+  }
+
+  // Pipe sizes (in) a scenario's plumbing uses: the entered segments, else the single run size
+  function scenarioPipeSizes(engineering) {
+    const sizes = (engineering.segments || []).map(seg => num(seg.sizeIn, 0)).filter(x => x > 0);
+    return [...new Set(sizes.length ? sizes : [num(engineering.pipeIn, 2.5)])].sort((a, b) => a - b);
+  }
+
+  // Headless comparison: every scenario of a project → { id, name, active, equipment, results }
+  function compareScenarios(project, catalog = DEFAULT_CURVES) {
+    const state = defaultState();
+    applyProject(state, structuredClone(project || {}));
+    const curves = structuredClone(catalog);
+    fillModelSpeedDefaults(curves);
+
+    return state.scenarios.map((sc) => {
+      const s = scenarioState(state, sc);
+      return {
+        id: sc.id,
+        name: sc.name,
+        active: sc.id === state.activeScenario,
+        equipment: {
+          pumps: s.pumps.map(p => ({ model: p.model, qty: Math.max(1, Math.round(num(p.qty, 1))), system: p.system, arrangement: p.arrangement })),
+          pipeSizes: scenarioPipeSizes(s.engineering),
+          items: (s.engineering.equipment || []).map(q => q.name || q.type),
+        },
+        results: createEngine(s, curves).results(),
+      };
+    });
+  }
+
+  /* -----------------------------
+     Project file format
+     Exports are { format, version, state, curves, results }. On import the file is migrated
+     step by step to the current version, then every field is checked against the schema.
+     Any problem rejects the whole file, so broken values never reach state.
+  ----------------------------- */
+  const PROJECT_FORMAT = "pool-pump-sizing";
+  const PROJECT_VERSION = 3;
+
+  const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+  // PROJECT_MIGRATIONS[n] takes a version n file and returns it at n + 1
+  const PROJECT_MIGRATIONS = {
+    // v1: unversioned exports. Flat fittings allowance and equipment head, pumps without an
+    // arrangement, features without a flow method, pool/spa runtimes on energy
+    1: (file) => {
+      const s = isObject(file.state) ? { ...file.state } : {};
+      if (isObject(s.engineering)) {
+        const { fitAllow, equipHead, ...rest } = s.engineering;
+        s.engineering = rest;
+      }
+      if (Array.isArray(s.waterFeatures)) s.waterFeatures = s.waterFeatures.map(wf => (isObject(wf) && !wf.method ? { ...wf, method: "manual" } : wf));
+      if (Array.isArray(s.pumps)) s.pumps = s.pumps.map(p => (isObject(p) && !p.arrangement ? { ...p, arrangement: "parallel" } : p));
+      if (isObject(s.energy) && ("poolHours" in s.energy || "spaHours" in s.energy)) {
+        const { poolHours, spaHours, ...rest } = s.energy;
+        if (!Array.isArray(s.modes)) s.modes = defaultModes(num(poolHours, 8), num(spaHours, 1));
+        s.energy = rest;
+      }
+      return { ...file, version: 2, state: s };
+    },
+    // v2: one set of equipment per project. The file's pumps and engineering become its only scenario
+    2: (file) => {
+      if (!isObject(file.state)) return { ...file, version: 3 };
+      const base = newScenario("Base");
+      return { ...file, version: 3, state: { ...file.state, scenarios: [base], activeScenario: base.id } };
+    },
+  };
+
+  // Field specs. Numbers also accept numeric text (older saves kept some inputs as typed);
+  // blank: "" is allowed; required: must be present; derived: recomputed, so dropped on import.
+  // Ranges are what the inputs can store: anything the engine clamps or ignores itself is let through.
+  const field = {
+    num: (min = -Infinity, max = Infinity, opts) => ({ kind: "number", min, max, ...opts }),
+    str: (opts) => ({ kind: "string", ...opts }),
+    bool: () => ({ kind: "boolean" }),
+    oneOf: (values, opts) => ({ kind: "enum", values, ...opts }),
+    obj: (fields) => ({ kind: "object", fields }),
+    list: (item, opts) => ({ kind: "array", item, ...opts }),
+    map: (value) => ({ kind: "map", value }),
+    either: (options) => ({ kind: "either", options }),
+    id: () => ({ kind: "id" }),
+    derived: () => ({ kind: "derived" }),
+  };
+
+  function projectSchema() {
+    const f = field;
+    const ids = (list) => list.map(x => x.id);
+    const pipe = f.num(0.5, 12);
+    const volume = f.obj({
+      enabled: f.bool(), shape: f.oneOf(ids(POOL_SHAPES)), profile: f.oneOf(ids(DEPTH_PROFILES)),
+      length: f.num(0), width: f.num(0), length2: f.num(0), width2: f.num(0), area: f.num(0),
+      depth: f.num(0), shallow: f.num(0), deep: f.num(0),
+      shallowPct: f.num(0, 100), transitionPct: f.num(0, 100), hopperPct: f.num(0, 100),
+      extras: f.list(f.obj({ id: f.id(), type: f.oneOf(ids(EXTRA_TYPES)), length: f.num(0), width: f.num(0), depth: f.num(0) })),
+    });
+    const serves = f.oneOf(ids(SEGMENT_SERVES));
+
+    const pumps = f.list(f.obj({
+      id: f.id(), model: f.str({ required: true }), qty: f.num(1, Infinity, { int: true }),
+      system: f.oneOf(["Shared", "Pool", "Water", "Spa"]), arrangement: f.oneOf(["parallel", "series"]), tdh: f.num(0),
+    }));
+    const engineering = f.obj({
+      curveModel: f.oneOf(["fit", "linear"]), extrapolatePct: f.num(0, 50),
+      velSuctionMax: f.num(0), velReturnMax: f.num(0), eqDist: f.num(0, Infinity, { blank: true }),
+      pipeIn: pipe, elev: f.num(-Infinity, Infinity, { blank: true }), C: f.num(),
+      segments: f.list(f.obj({
+        id: f.id(), name: f.str(), side: f.oneOf(ids(PIPE_SIDES)), serves, branch: f.str(),
+        sizeIn: pipe, length: f.num(0), flowPct: f.num(0, 100),
+      })),
+      fittings: f.list(f.obj({ id: f.id(), type: f.oneOf(ids(FITTING_TYPES), { required: true }), qty: f.num(0), sizeIn: pipe, segId: f.str() })),
+      equipment: f.list(f.obj({
+        id: f.id(), type: f.str(), name: f.str(), serves,
+        table: f.list(f.obj({ gpm: f.num(0, Infinity, { required: true }), ft: f.num(0, Infinity, { required: true }) })),
+      })),
+      estimatedTDH: f.derived(), estimatedFriction: f.derived(), estimatedL: f.derived(), estimatedFittings: f.derived(), warnText: f.derived(),
+    });
+
+    const state = f.obj({
+      project: f.obj({
+        client: f.str(), city: f.str(), notes: f.str(),
+        units: f.oneOf(["us", "metric"]), metricFlow: f.oneOf(Object.keys(METRIC_FLOWS)),
+        poolVol: f.num(0), volume, turnoverH: f.num(0.5, 48), turnoverCustom: f.num(-Infinity, Infinity, { blank: true }),
+      }),
+      waterFeatures: f.list(f.obj({
+        id: f.id(), type: f.oneOf(ids(WATER_FEATURE_TYPES), { required: true }), method: f.oneOf(["manual", "hydraulic"]),
+        qty: f.num(0), width: f.num(0), gpmPerFt: f.num(0),
+        sheetIn: f.num(0), orificeIn: f.num(0), arcFt: f.num(0), arcHeightFt: f.num(0), bubbleIn: f.num(0),
+        elevFt: f.num(), residualFt: f.num(0, Infinity, { blank: true }), branchFt: f.num(0), branchIn: pipe,
+      })),
+      spa: f.obj({
+        enabled: f.bool(), setup: f.oneOf(["shared", "separate"]), spaVol: f.num(0), volume, spaTurnH: f.num(0),
+        jetsQty: f.num(0), gpmPerJet: f.num(0), spaTDH: f.num(0), spillWidth: f.num(0), spillRate: f.num(0),
+      }),
+      pumps,
+      engineering,
+      scenarios: f.list(f.obj({ id: f.id(), name: f.str(), pumps, engineering }), { min: 1 }),
+      activeScenario: f.str(),
+      energy: f.obj({ rate: f.num(0) }),
+      modes: f.list(f.obj({
+        id: f.id(), name: f.str(), pool: f.bool(), spa: f.oneOf(ids(MODE_SPA_OPTIONS)),
+        features: f.either([f.oneOf(["all"]), f.list(f.str())]), returns: f.oneOf(ids(MODE_RETURNS)),
+        tdh: f.num(0, Infinity, { blank: true }), hours: f.num(0, 24),
+      })),
+      schedule: f.obj({
+        targetTurnovers: f.num(0),
+        slots: f.list(f.obj({
+          id: f.id(), start: f.str({ pattern: /^\d{1,2}:\d{2}$/, hint: "HH:MM" }), end: f.str({ pattern: /^\d{1,2}:\d{2}$/, hint: "HH:MM" }),
+          modeId: f.str(), rpm: f.num(0),
+        })),
+      }),
+      filter: f.obj({
+        enabled: f.bool(), type: f.oneOf(ids(FILTER_TYPES)), model: f.str(), area: f.num(0), rated: f.num(0),
+        use: f.oneOf(["residential", "commercial"]), serves,
+      }),
+      suction: f.list(f.obj({
+        body: f.oneOf(["Pool", "Spa"], { required: true }), enabled: f.bool(), drains: f.num(0, Infinity, { int: true }),
+        coverRated: f.num(0), separationIn: f.num(0), unblockable: f.bool(), skimmers: f.num(0, Infinity, { int: true }),
+        drainPipeIn: pipe, headerIn: pipe,
+      })),
+      ui: f.obj({
+        selectedPumpIndex: f.num(0, Infinity, { int: true }), curvesModalOpen: f.bool(), curvesActiveModel: f.str(),
+        lastTdhWarnSig: f.str(), recommendOpen: f.bool(), recommendSort: f.str(),
+      }),
+    });
+
+    const curvesSpec = f.map(f.obj({
+      modelLabel: f.str(), brand: f.str(), hp: f.num(0), voltage: f.str(),
+      variableSpeed: f.bool(), minRpm: f.num(0), maxRpm: f.num(0), efficiency: f.num(0.05, 0.95),
+      rpmLines: f.list(f.obj({
+        rpm: f.num(0, Infinity, { required: true }), label: f.str(),
+        points: f.list(f.obj({
+          gpm: f.num(0, Infinity, { required: true }), tdh: f.num(0, Infinity, { required: true }), watts: f.num(0),
+        }), { required: true }),
+      }), { required: true }),
+    }));
+
+    return { state, curves: curvesSpec };
+  }
+
+  const showValue = (v) => (typeof v === "string" ? `"${v.length > 40 ? v.slice(0, 40) + "…" : v}"` : JSON.stringify(v));
+
+  // Checks value against spec; returns the cleaned copy (unknown keys dropped, numeric
+  // text converted) and pushes "path: problem" lines onto report.errors / report.ignored
+  function checkField(spec, value, path, report) {
+    const fail = (msg) => { report.errors.push(`${path}: ${msg}`); return undefined; };
+    switch (spec.kind) {
+      case "number": {
+        if (value === "" && spec.blank) return "";
+        const n = typeof value === "number" ? value : (typeof value === "string" && value.trim() !== "" ? Number(value) : NaN);
+        if (!Number.isFinite(n)) return fail(`expected a number${spec.blank ? " or blank" : ""}, got ${showValue(value)}`);
+        if (spec.int && !Number.isInteger(n)) return fail(`expected a whole number, got ${n}`);
+        if (n < spec.min) return fail(`${n} is below the minimum of ${spec.min}`);
+        if (n > spec.max) return fail(`${n} is above the maximum of ${spec.max}`);
+        return n;
+      }
+      case "string":
+        if (typeof value !== "string") return fail(`expected text, got ${showValue(value)}`);
+        if (spec.pattern && !spec.pattern.test(value.trim())) return fail(`expected ${spec.hint}, got ${showValue(value)}`);
+        return value;
+      case "boolean":
+        if (typeof value !== "boolean") return fail(`expected true or false, got ${showValue(value)}`);
+        return value;
+      case "enum":
+        if (!spec.values.includes(value)) return fail(`${showValue(value)} is not one of ${spec.values.join(", ")}`);
+        return value;
+      case "id":
+        if (value === undefined) return safeId();
+        if (typeof value !== "string" || !value) return fail(`expected an id, got ${showValue(value)}`);
+        return value;
+      case "either": {
+        for (const option of spec.options) {
+          const trial = { errors: [], ignored: [] };
+          const out = checkField(option, value, path, trial);
+          if (!trial.errors.length) { report.ignored.push(...trial.ignored); return out; }
+        }
+        return fail(`unexpected value ${showValue(value)}`);
+      }
+      case "array": {
+        if (!Array.isArray(value)) return fail(`expected a list, got ${showValue(value)}`);
+        if (spec.min && value.length < spec.min) return fail(`needs at least ${spec.min} entr${spec.min === 1 ? "y" : "ies"}`);
+        return value.map((item, i) => checkField(spec.item, item, `${path}[${i}]`, report));
+      }
+      case "map": {
+        if (!isObject(value)) return fail(`expected an object, got ${showValue(value)}`);
+        const out = {};
+        for (const [k, v] of Object.entries(value)) out[k] = checkField(spec.value, v, `${path}["${k}"]`, report);
+        return out;
+      }
+      case "object": {
+        if (!isObject(value)) return fail(`expected an object, got ${showValue(value)}`);
+        const out = {};
+        for (const [k, sub] of Object.entries(spec.fields)) {
+          if (sub.kind === "derived") continue;
+          if (value[k] === undefined) {
+            if (sub.required) report.errors.push(`${path}.${k}: is required`);
+            else if (sub.kind === "id") out[k] = safeId();
+            continue;
+          }
+          out[k] = checkField(sub, value[k], `${path}.${k}`, report);
+        }
+        for (const k of Object.keys(value)) if (!spec.fields[k]) report.ignored.push(`${path}.${k}`);
+        return out;
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  // Parsed JSON → { file, errors, ignored, from }. file is the migrated, checked copy, or null
+  // when there is any error. Pump models must exist in the file's curves or in catalog.
+  function readProjectFile(parsed, catalog = DEFAULT_CURVES) {
+    const report = { errors: [], ignored: [] };
+    const reject = (msg) => ({ file: null, errors: [msg], ignored: [], from: null });
+
+    if (!isObject(parsed) || (!isObject(parsed.state) && !isObject(parsed.curves))) return reject("Not a pool pump sizing project file (no state or curves).");
+    if (parsed.format !== undefined && parsed.format !== PROJECT_FORMAT) return reject(`Unknown file format ${showValue(parsed.format)}.`);
+    const from = parsed.version === undefined ? 1 : parsed.version;
+    if (!Number.isInteger(from) || from < 1) return reject(`version: expected a whole number, got ${showValue(parsed.version)}`);
+    if (from > PROJECT_VERSION) return reject(`This file is format v${from}; this version of the tool reads up to v${PROJECT_VERSION}.`);
+
+    let file = parsed;
+    for (let v = from; v < PROJECT_VERSION; v++) file = PROJECT_MIGRATIONS[v](file);
+
+    const schema = projectSchema();
+    const out = {};
+    if (file.state !== undefined) out.state = checkField(schema.state, file.state, "state", report);
+    if (file.curves !== undefined) out.curves = checkField(schema.curves, file.curves, "curves", report);
+    for (const k of Object.keys(file)) if (!["format", "version", "state", "curves", "results"].includes(k)) report.ignored.push(k);
+
+    const pumpLists = [["state.pumps", out.state?.pumps], ...(out.state?.scenarios || []).map((sc, k) => [`state.scenarios[${k}].pumps`, sc?.pumps])];
+    for (const [path, list] of pumpLists) {
+      (list || []).forEach((p, i) => {
+        if (p?.model && !out.curves?.[p.model] && !catalog[p.model]) {
+          report.errors.push(`${path}[${i}].model: no curve for ${showValue(p.model)} in the file or the catalog`);
+        }
+      });
+    }
+
+    return { file: report.errors.length ? null : out, errors: report.errors, ignored: report.ignored, from };
+  }
+
+  /* -----------------------------
+     Engine
+     Every calculation reads the state and curve catalog the engine was made with, at call
+     time: the browser edits both in place and calls again. All values are US units.
+  ----------------------------- */
+  function createEngine(state, curves) {
+    /* -----------------------------
+       Curve interpolation
+    ----------------------------- */
+    // GPM where the curve delivers targetTDH: 0 above shutoff, capped at the end of the usable curve
+    // (last point plus any allowed extrapolation). Solved from the peak so a curve that rises a
+    // little off shutoff resolves to its stable branch.
+    function gpmAtTDH(points, targetTDH) {
+      if (!points || points.length < 2) return 0;
+      const start = points[0].gpm;
+      const end = curveEnd(points);
+
+      let peak = start, peakH = -Infinity;
+      const probes = points.map(p => p.gpm);
+      for (let k = 0; k <= 32; k++) probes.push(start + ((end - start) * k) / 32);
+      for (const q of probes) {
+        const h = tdhAtGPM(points, q);
+        if (h > peakH) { peakH = h; peak = q; }
+      }
+
+      if (!(targetTDH <= peakH)) return 0;
+      if (tdhAtGPM(points, end) >= targetTDH) return end;
+
+      let lo = peak, hi = end;
+      for (let i = 0; i < 60 && hi - lo > 1e-6; i++) {
+        const mid = (lo + hi) / 2;
+        if (tdhAtGPM(points, mid) >= targetTDH) lo = mid; else hi = mid;
+      }
+      return (lo + hi) / 2;
+    }
+
+    // TDH at GPM (inverse of gpmAtTDH). NaN outside the usable flow range.
+    function tdhAtGPM(points, gpm) {
+      if (!points || points.length < 2) return NaN;
+      const first = points[0];
+      const last = points[points.length - 1];
+      if (gpm < first.gpm || gpm > curveEnd(points) + 1e-9) return NaN;
+
+      const fit = sampledCurves.has(points) || !useCurveFit() ? null : curveFit(points);
+      if (fit?.kind === "quadratic") return Math.max(0, fit.a + fit.b * gpm + fit.c * gpm * gpm);
+
+      // Past the data: carry on along the last segment
+      if (gpm > last.gpm) {
+        const prev = points[points.length - 2];
+        const slope = (last.tdh - prev.tdh) / Math.max(1e-9, last.gpm - prev.gpm);
+        return Math.max(0, last.tdh + slope * (gpm - last.gpm));
+      }
+
+      for (let i = 0; i < points.length - 1; i++) {
+        const a = points[i];
+        const b = points[i + 1];
+        if (gpm < a.gpm || gpm > b.gpm) continue;
+        const denom = (b.gpm - a.gpm);
+        if (Math.abs(denom) < 1e-9) return Math.max(a.tdh, b.tdh);
+        const u = (gpm - a.gpm) / denom;
+        return a.tdh + u * (b.tdh - a.tdh);
+      }
+      return NaN;
+    }
+
+    // Operating (duty) point: where qty identical pumps on one RPM line meet a system head curve.
+    // headFn(totalGPM) -> ft. Returns null when the pump can't overcome the system head at zero flow.
+    // If the pump still has head to spare at the end of the usable curve, the point is capped there
+    // (atCurveEnd). Points past the last data point are flagged as extrapolated.
+    function operatingPoint(points, qty, headFn) {
+      if (!points || points.length < 2) return null;
+      const n = Math.max(1, qty || 1);
+      const pumpHead = (Q) => tdhAtGPM(points, Q / n);
+      const f = (Q) => pumpHead(Q) - headFn(Q);
+
+      const qMin = points[0].gpm * n;
+      const qMax = curveEnd(points) * n;
+      const qData = points[points.length - 1].gpm * n;
+      if (!(f(qMin) >= 0)) return null;
+      if (f(qMax) >= 0) return { gpm: qMax, tdh: pumpHead(qMax), atCurveEnd: true, extrapolated: qMax > qData + 1e-6 };
+
+      let lo = qMin, hi = qMax;
+      for (let i = 0; i < 60 && hi - lo > 1e-4; i++) {
+        const mid = (lo + hi) / 2;
+        if (f(mid) >= 0) lo = mid; else hi = mid;
+      }
+      const gpm = (lo + hi) / 2;
+      return { gpm, tdh: headFn(gpm), atCurveEnd: false, extrapolated: gpm > qData + 1e-6 };
+    }
+
+    /* -----------------------------
+       Curve models
+       Each RPM line is read through a least-squares quadratic H = a + bQ + cQ² when that fits
+       the data well and still falls at the last point; otherwise straight lines between points.
+       Beyond the last point the curve runs on by engineering.extrapolatePct, flagged in results.
+    ----------------------------- */
+    const FIT_MIN_R2 = 0.98;
+    const curveFits = new WeakMap();
+    // Combined (parallel/series) curves are dense samples of fitted lines: read point to point
+    const sampledCurves = new WeakSet();
+
+    const useCurveFit = () => state.engineering.curveModel !== "linear";
+    const extrapolateFraction = () => clamp(num(state.engineering.extrapolatePct, 0), 0, 50) / 100;
+
+    function curveEnd(points) {
+      const last = points[points.length - 1].gpm;
+      return sampledCurves.has(points) ? last : last * (1 + extrapolateFraction());
+    }
+
+    function fitQuadratic(points) {
+      const n = points.length;
+      if (n < 3) return null;
+      let s1 = 0, s2 = 0, s3 = 0, s4 = 0, t0 = 0, t1 = 0, t2 = 0;
+      for (const p of points) {
+        const q = p.gpm, q2 = q * q;
+        s1 += q; s2 += q2; s3 += q2 * q; s4 += q2 * q2;
+        t0 += p.tdh; t1 += q * p.tdh; t2 += q2 * p.tdh;
+      }
+      // Normal equations, solved by Cramer's rule
+      const det3 = (m) =>
+        m[0] * (m[4] * m[8] - m[5] * m[7]) - m[1] * (m[3] * m[8] - m[5] * m[6]) + m[2] * (m[3] * m[7] - m[4] * m[6]);
+      const D = det3([n, s1, s2, s1, s2, s3, s2, s3, s4]);
+      if (Math.abs(D) < 1e-9) return null;
+      const a = det3([t0, s1, s2, t1, s2, s3, t2, s3, s4]) / D;
+      const b = det3([n, t0, s2, s1, t1, s3, s2, t2, s4]) / D;
+      const c = det3([n, s1, t0, s1, s2, t1, s2, s3, t2]) / D;
+
+      const mean = t0 / n;
+      let ssRes = 0, ssTot = 0, maxResid = 0;
+      for (const p of points) {
+        const r = p.tdh - (a + b * p.gpm + c * p.gpm * p.gpm);
+        ssRes += r * r;
+        ssTot += (p.tdh - mean) ** 2;
+        maxResid = Math.max(maxResid, Math.abs(r));
+      }
+      return { a, b, c, r2: ssTot > 0 ? 1 - ssRes / ssTot : 1, maxResid };
+    }
+
+    function curveFit(points) {
+      if (curveFits.has(points)) return curveFits.get(points);
+      const quad = fitQuadratic(points);
+      let fit = { kind: "linear", reason: points.length < 3 ? "points" : "singular" };
+      if (quad) {
+        const falling = quad.b + 2 * quad.c * points[points.length - 1].gpm < 0;
+        const ok = falling && quad.r2 >= FIT_MIN_R2;
+        fit = { ...quad, kind: ok ? "quadratic" : "linear", reason: ok ? "" : (falling ? "r2" : "rising") };
+      }
+      curveFits.set(points, fit);
+      return fit;
+    }
+
+    function fitSummary(points) {
+      if (!points || points.length < 2) return "";
+      if (!useCurveFit()) return "Curve model: straight lines between points (Engineering Inputs).";
+      const f = curveFit(points);
+      if (f.kind !== "quadratic") return "Curve model: straight lines between points.";
+      const quality = f.r2 >= 0.995 ? "good" : "fair";
+      const term = (v, digits, suffix) => `${v < 0 ? "−" : "+"} ${Math.abs(v).toFixed(digits)}${suffix}`;
+      return `Fit: H = ${f.a.toFixed(1)} ${term(f.b, 3, "·Q")} ${term(f.c, 5, "·Q²")} · R² ${f.r2.toFixed(3)} (${quality}) · max residual ${fmtQ("head", f.maxResid)}`;
+    }
+
+    // Things worth a second look before trusting a point set
+    function curveIssues(points) {
+      if (!points || points.length < 2) return ["Needs at least 2 points."];
+      const issues = [];
+      if (points[0].gpm > 0) issues.push(`No shutoff point (first point at ${fmtQ("flow", points[0].gpm)}).`);
+      for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1], b = points[i];
+        if (b.gpm === a.gpm) issues.push(`Duplicate flow ${fmtQ("flow", b.gpm)}.`);
+        else if (b.tdh > a.tdh) issues.push(`TDH rises ${fmtQ("head", a.tdh)} → ${fmtQ("head", b.tdh)} between ${fmtQ("flow", a.gpm)} and ${fmtQ("flow", b.gpm)}.`);
+        if (Number.isFinite(a.watts) && Number.isFinite(b.watts) && b.watts < a.watts) {
+          issues.push(`Watts fall ${a.watts} → ${b.watts} between ${fmtQ("flow", a.gpm)} and ${fmtQ("flow", b.gpm)}.`);
+        }
+      }
+      if (points.length < 3) issues.push("Only 2 points: no curve fit, straight line only.");
+      const f = curveFit(points);
+      if (f.reason === "r2") issues.push(`Poor quadratic fit (R² ${f.r2.toFixed(3)}): using straight lines.`);
+      if (f.reason === "rising") issues.push("Fitted curve rises at the last point: using straight lines.");
+      return issues;
+    }
+
+    /* -----------------------------
+       Units
+       State and every calculation stay in US units (gal, GPM, ft, in). The project's unit
+       system only applies at the edges: input fields, text, chart axes and the curve editor.
+    ----------------------------- */
+    const isMetric = () => state.project.units === "metric";
+
+    function unitOf(q) {
+      if (!isMetric()) return UNIT_SYSTEMS.us[q];
+      const flow = METRIC_FLOWS[state.project.metricFlow] || METRIC_FLOWS.m3h;
+      if (q === "flow") return flow;
+      if (q === "flowPerLength") return { label: `${flow.label} per m`, f: flow.f / FT_TO_M };
+      if (q === "flowPerArea") return { label: `${flow.label} per m²`, f: flow.f / (FT_TO_M * FT_TO_M) };
+      return UNIT_SYSTEMS.metric[q];
+    }
+
+    const unitLabel = (q) => unitOf(q).label;
+    const toUnit = (q, v) => v * unitOf(q).f;
+    const fromUnit = (q, v) => v / unitOf(q).f;
+    const fmtQ = (q, v) => `${round1(toUnit(q, v))} ${unitLabel(q)}`;
+
+    // Input box value in display units, to 3 decimals so round trips through metric stay tidy
+    function inputValue(q, v) {
+      if (v === "" || v === null || v === undefined) return "";
+      return +(num(v, 0) * unitOf(q).f).toFixed(3);
+    }
+
+    // Blank stays blank (eqDist/elev use "" for "not set")
+    const readInput = (q, text, d) => (String(text).trim() === "" ? d : fromUnit(q, num(text, 0)));
+
+    function pipeLabel(nominal) {
+      const n = num(nominal, 2.5);
+      return isMetric() ? `DN${PIPE_DN[n] ?? Math.round(n * 25)} mm` : `${n.toFixed(1)} in`;
+    }
+
+    // Curve editor / loss tables: "flow,head[,watts]" text in display units
+    function pointsToDisplayText(points) {
+      return pointsToText((points || []).map(p => ({ ...p, gpm: +toUnit("flow", p.gpm).toFixed(3), tdh: +toUnit("head", p.tdh).toFixed(3) })));
+    }
+
+    function parseDisplayPoints(text) {
+      return parsePoints(text).map(p => ({ ...p, gpm: fromUnit("flow", p.gpm), tdh: fromUnit("head", p.tdh) }));
+    }
+
+    /* -----------------------------
+       Core Calculations
+    ----------------------------- */
+    function getTurnoverHours() {
+      const custom = num(state.project.turnoverCustom, NaN);
+      if (Number.isFinite(custom) && custom > 0) return custom;
+      return num(state.project.turnoverH, 6) || 6;
+    }
+
+    function poolTurnoverFlow() {
+      const vol = num(state.project.poolVol, 0);
+      const hours = getTurnoverHours();
+      if (!vol || !hours) return 0;
+      return (vol / hours) / 60;
+    }
+
+    function featureFlow(wf) {
+      const h = featureHydraulics(wf);
+
+      // ✅ Bubblers and jets: Qty * GPM(each). Width ignored.
+      return num(wf.qty, 0) * (h.perFt ? num(wf.width, 0) : 1) * h.rate;
+    }
+
+    function waterFeaturesFlow() {
+      return state.waterFeatures.reduce((sum, wf) => sum + featureFlow(wf), 0);
+    }
+
+    function spaJetsFlow() {
+      return num(state.spa.jetsQty, 0) * num(state.spa.gpmPerJet, 0);
+    }
+
+    function spaTurnoverFlow() {
+      const vol = num(state.spa.spaVol, 0);
+      const hrs = num(state.spa.spaTurnH, 0);
+      if (!vol || !hrs) return 0;
+      return (vol / hrs) / 60;
+    }
+
+    function spaRequiredFlow() {
+      return Math.max(spaJetsFlow(), spaTurnoverFlow());
+    }
+
+    // Sheet over the spa's spillover lip; never less than the spa turnover
+    function spilloverFlow() {
+      return Math.max(num(state.spa.spillWidth, 0) * num(state.spa.spillRate, 0), spaTurnoverFlow());
+    }
+
+    // ✅ Flow allocation fix:
+    // If there is ANY Water pump, Shared no longer double-counts water features.
+    function hasWaterPumps() {
+      return state.pumps.some(p => p.system === "Water");
+    }
+
+    function requiredFlowForSystem(system) {
+      const pool = poolTurnoverFlow();
+      const wf = waterFeaturesFlow();
+
+      if (system === "Pool") return pool;
+      if (system === "Water") return wf;
+      if (system === "Spa") return state.spa.enabled ? spaRequiredFlow() : 0;
+
+      // Shared:
+      // - Always includes Pool turnover
+      // - Includes Water Features ONLY if you have NO dedicated Water pumps
+      return pool + (hasWaterPumps() ? 0 : wf);
+    }
+
+    function poolModeRequiredTotal() {
+      // For display: total required in pool mode depends on allocation
+      return poolTurnoverFlow() + waterFeaturesFlow();
+    }
+
+    /* -----------------------------
+       Pump capacity at TDH (choose best RPM line)
+    ----------------------------- */
+    function maxCurveTDH(modelKey) {
+      const m = curves[modelKey];
+      if (!m || !m.rpmLines?.length) return 0;
+      let max = 0;
+      for (const line of m.rpmLines) {
+        for (const p of (line.points || [])) max = Math.max(max, num(p.tdh, 0));
+      }
+      return max;
+    }
+
+    // headFn(totalGPM) -> ft is the system curve the pump works against.
+    // Without one, the pump's own hand-entered TDH is used as a flat line (legacy behavior).
+    function bestCapacityAtTDH(pump, headFn) {
+      const model = curves[pump.model];
+      if (!model || !model.rpmLines?.length) {
+        return { ok: false, best: null, maxTDH: 0, capPerPump: 0, capTotal: 0, lines: [] };
+      }
+
+      const qty = Math.max(1, Math.round(num(pump.qty, 1)));
+      const maxTDH = maxCurveTDH(pump.model);
+      const hFn = headFn || flatHead(num(pump.tdh, 0));
+
+      if (maxTDH > 0 && hFn(0) > maxTDH) {
+        return { ok: false, best: null, maxTDH, capPerPump: 0, capTotal: 0, lines: [] };
+      }
+
+      let best = null;
+      const lines = [];
+      for (const line of model.rpmLines) {
+        const op = operatingPoint(line.points || [], qty, hFn);
+        lines.push({ line, op });
+        if (!op || op.gpm <= 0) continue;
+        if (!best || op.gpm > best.total) best = { line, per: op.gpm / qty, total: op.gpm, tdh: op.tdh, atCurveEnd: op.atCurveEnd };
+      }
+
+      if (!best) return { ok: false, best: null, maxTDH, capPerPump: 0, capTotal: 0, lines };
+
+      return { ok: true, best, maxTDH, capPerPump: best.per, capTotal: best.total, lines };
+    }
+
+    /* -----------------------------
+       Pump combinations on a common manifold
+       Parallel rows add flow at equal head; series (booster) rows add head at equal flow.
+       A row's Qty is always that many identical pumps side by side.
+    ----------------------------- */
+    const COMBINE_SAMPLES = 48;
+
+    const isSeries = (pump) => pump.arrangement === "series";
+
+    function scaledPoints(points, qty) {
+      return qty === 1 ? points : points.map(p => ({ ...p, gpm: p.gpm * qty }));
+    }
+
+    function parallelCurve(members) {
+      if (members.length === 1) return scaledPoints(members[0].points, members[0].qty);
+
+      // Sample heads from the highest shutoff down to where the first member runs out of curve
+      const top = Math.max(...members.map(m => Math.max(...m.points.map(p => tdhAtGPM(m.points, p.gpm)))));
+      const floor = Math.max(...members.map(m => tdhAtGPM(m.points, curveEnd(m.points))));
+      const pts = [];
+      for (let k = 0; k <= COMBINE_SAMPLES; k++) {
+        const H = top - ((top - floor) * k) / COMBINE_SAMPLES;
+        const gpm = members.reduce((a, m) => a + m.qty * gpmAtTDH(m.points, H), 0);
+        pts.push({ gpm, tdh: H });
+      }
+      const out = pts.sort((a, b) => a.gpm - b.gpm).filter((p, i, arr) => i === 0 || p.gpm > arr[i - 1].gpm);
+      sampledCurves.add(out);
+      return out;
+    }
+
+    function seriesCurve(base, boosters) {
+      if (!boosters.length) return base;
+      const qMax = Math.min(curveEnd(base), ...boosters.map(b => curveEnd(b.points) * b.qty));
+      const pts = [];
+      for (let k = 0; k <= COMBINE_SAMPLES; k++) {
+        const Q = (qMax * k) / COMBINE_SAMPLES;
+        const H = tdhAtGPM(base, Q) + boosters.reduce((a, b) => a + tdhAtGPM(b.points, Q / b.qty), 0);
+        pts.push({ gpm: Q, tdh: H });
+      }
+      sampledCurves.add(pts);
+      return pts;
+    }
+
+    // Combined curve of a pump group at one speed (rpm null = each pump at its top speed)
+    function combinedCurve(pumps, rpm) {
+      const members = [];
+      for (const p of pumps) {
+        const model = curves[p.model];
+        const range = speedRange(model);
+        const line = range ? lineAtRpm(model, rpm ?? range.max) : null;
+        if (!line || (line.points || []).length < 2) continue;
+        members.push({ pump: p, line, points: line.points, qty: Math.max(1, Math.round(num(p.qty, 1))), series: isSeries(p) });
+      }
+      if (!members.length) return null;
+
+      let bank = members.filter(m => !m.series);
+      let boosters = members.filter(m => m.series);
+      if (!bank.length) {
+        bank = boosters.slice(0, 1);
+        boosters = boosters.slice(1);
+      }
+      const bankPts = parallelCurve(bank);
+      return { points: seriesCurve(bankPts, boosters), bankPts, bank, boosters, members };
+    }
+
+    // Duty point of a pump group against a system head curve, and what each row contributes there
+    function groupDuty(pumps, headFn, rpm) {
+      const curve = combinedCurve(pumps, rpm);
+      if (!curve || curve.points.length < 2) return { curve, op: null, shares: pumps.map(p => ({ pump: p, line: null, op: null })) };
+
+      const op = operatingPoint(curve.points, 1, headFn);
+      const Hbank = op ? tdhAtGPM(curve.bankPts, op.gpm) : NaN;
+      const shares = curve.members.map((m) => {
+        if (!op) return { pump: m.pump, line: m.line, op: null };
+        const dataEnd = m.points[m.points.length - 1].gpm * m.qty + 1e-6;
+        if (m.series) return { pump: m.pump, line: m.line, op: { gpm: op.gpm, tdh: tdhAtGPM(m.points, op.gpm / m.qty), extrapolated: op.gpm > dataEnd } };
+        const gpm = curve.bank.length === 1 ? op.gpm : m.qty * gpmAtTDH(m.points, Hbank);
+        return { pump: m.pump, line: m.line, op: { gpm, tdh: Hbank, extrapolated: gpm > dataEnd } };
+      });
+      if (op) op.extrapolated = shares.some(x => x.op?.extrapolated);
+      for (const p of pumps) {
+        if (!shares.some(x => x.pump === p)) shares.push({ pump: p, line: null, op: null });
+      }
+      return { curve, op, shares };
+    }
+
+    // Lowest common speed (10 RPM steps) at which the group reaches `req` GPM against headFn.
+    // Returns null when even top speed falls short.
+    function minSpeedForFlow(pumps, req, headFn) {
+      if (!pumps.length || req <= 0) return null;
+
+      let lo = 0, hi = Infinity;
+      for (const p of pumps) {
+        const range = speedRange(curves[p.model]);
+        if (!range) return null;
+        lo = Math.max(lo, range.min);
+        hi = Math.min(hi, range.max);
+      }
+      if (!(hi >= lo)) return null;
+
+      const evalAt = (rpm) => {
+        const g = groupDuty(pumps, headFn, rpm);
+        return { rpm, gpm: g.op ? g.op.gpm : 0, tdh: g.op ? g.op.tdh : NaN, lines: g.shares, curve: g.curve };
+      };
+
+      if (evalAt(hi).gpm < req) return null;
+
+      const steps = [];
+      for (let r = Math.ceil(lo / 10) * 10; r < hi; r += 10) steps.push(r);
+      steps.push(hi);
+
+      let a = -1, b = steps.length - 1;
+      while (b - a > 1) {
+        const m = (a + b) >> 1;
+        if (evalAt(steps[m]).gpm >= req) b = m; else a = m;
+      }
+      return evalAt(steps[b]);
+    }
+
+    function minSpeedForSystem(system) {
+      const pumps = state.pumps.filter(p => p.system === system);
+      return minSpeedForFlow(pumps, requiredFlowForSystem(system), headFnForSystem(system, pumps));
+    }
+
+    // Spa mode on a shared setup runs the Shared pumps at spa flow
+    function minSpeedForSpaMode() {
+      if (!state.spa.enabled) return null;
+      const sys = state.spa.setup === "shared" ? "Shared" : "Spa";
+      const pumps = state.pumps.filter(p => p.system === sys);
+      return minSpeedForFlow(pumps, spaRequiredFlow(), spaHeadFn);
+    }
+
+    /* -----------------------------
+       Energy / operating cost
+       Input watts from the curve data when present, else hydraulic power ÷ wire-to-water efficiency
+    ----------------------------- */
+    const DEFAULT_PUMP_EFFICIENCY = 0.45;
+
+    function wattsAtGPM(points, gpm) {
+      if (!points || points.length < 2 || !points.every(p => Number.isFinite(p.watts))) return NaN;
+      if (gpm <= points[0].gpm) return points[0].watts;
+      for (let i = 0; i < points.length - 1; i++) {
+        const a = points[i];
+        const b = points[i + 1];
+        if (gpm > b.gpm) continue;
+        const denom = (b.gpm - a.gpm);
+        if (Math.abs(denom) < 1e-9) return b.watts;
+        return a.watts + ((gpm - a.gpm) / denom) * (b.watts - a.watts);
+      }
+      return points[points.length - 1].watts;
+    }
+
+    function pumpWatts(model, line, gpmPerPump, tdh) {
+      const w = wattsAtGPM(line.points, gpmPerPump);
+      if (Number.isFinite(w)) return { watts: w, estimated: false };
+      const eff = clamp(num(model?.efficiency, DEFAULT_PUMP_EFFICIENCY), 0.05, 0.95);
+      return { watts: (gpmPerPump * tdh / 3960) * 745.7 / eff, estimated: true };
+    }
+
+    // Pumps as they'd be programmed for a requirement: lowest speed that meets it, else top speed
+    function runningPumps(pumps, req, headFn) {
+      const speed = minSpeedForFlow(pumps, req, headFn);
+      if (speed) return speed.lines;
+      return groupDuty(pumps, headFn, null).shares;
+    }
+
+    function energyForRun(run, hours) {
+      let kw = 0;
+      let estimated = false;
+      const pumps = run.map(({ pump, line, op }) => {
+        if (!line || !op) return { pump, line, op, kw: 0, estimated: false };
+        const qty = Math.max(1, Math.round(num(pump.qty, 1)));
+        const w = pumpWatts(curves[pump.model], line, op.gpm / qty, op.tdh);
+        const pumpKw = (w.watts * qty) / 1000;
+        kw += pumpKw;
+        estimated = estimated || w.estimated;
+        return { pump, line, op, kw: pumpKw, estimated: w.estimated };
+      });
+      const rate = num(state.energy.rate, 0);
+      const kwhDay = kw * hours;
+      return { kw, hours, kwhDay, costDay: kwhDay * rate, costYear: kwhDay * rate * 365, estimated, pumps };
+    }
+
+    function energyText(e) {
+      if (!e || !e.pumps.length) return "Energy: —";
+      return `${round2(e.kw)} kW · ${round1(e.kwhDay)} kWh/day · $${Math.round(e.costYear)}/yr` +
+        (e.estimated ? " (est.)" : "");
+    }
+
+    function energyForExport(e) {
+      if (!e) return null;
+      return {
+        kw: e.kw,
+        hoursPerDay: e.hours,
+        kwhPerDay: e.kwhDay,
+        costPerDay: e.costDay,
+        costPerYear: e.costYear,
+        estimated: e.estimated,
+        pumps: e.pumps.map(x => ({
+          pumpId: x.pump.id,
+          model: x.pump.model,
+          rpm: x.line ? num(x.line.rpm, 0) : null,
+          flow: x.op ? toUnit("flow", x.op.gpm) : 0,
+          head: x.op ? toUnit("head", x.op.tdh) : 0,
+          kw: x.kw,
+        })),
+      };
+    }
+
+    /* -----------------------------
+       Valve modes
+       Each mode says which bodies, features and return path are open. Dedicated rows
+       (Pool / Water / separate Spa) carry their own body; Shared rows carry the rest.
+       Every mode is rated and the tightest one is the project's worst case.
+    ----------------------------- */
+    function spaPartFlow(mode) {
+      if (!state.spa.enabled) return 0;
+      if (mode.spa === "jets") return spaRequiredFlow();
+      if (mode.spa === "spillover") return spilloverFlow();
+      return 0;
+    }
+
+    // Feature branches only count for the features this mode opens on this group
+    function modeHeadFn(mode, system, pumps, bodies = [], req = 0) {
+      if (String(mode.tdh ?? "").trim() !== "") return flatHead(num(mode.tdh, 0));
+      const path = system === "Shared" ? mode.returns : system;
+      if (path === "Spa") return spaHeadFn();
+      if (!systemCurveActive()) return headFnForSystem(path, pumps);
+      const features = bodies.includes("Water") ? state.waterFeatures.filter(wf => modeHasFeature(mode, wf)) : [];
+      return (Q) => systemHeadAtFlow(Q, path, { features, design: req }).tdh;
+    }
+
+    function evaluateMode(mode, pumps = state.pumps) {
+      const parts = {
+        Pool: mode.pool ? poolTurnoverFlow() : 0,
+        Spa: spaPartFlow(mode),
+        Water: state.waterFeatures.filter(wf => modeHasFeature(mode, wf)).reduce((a, wf) => a + featureFlow(wf), 0),
+      };
+
+      const has = (s) => pumps.some(p => p.system === s);
+      const owner = (s) => (s === "Spa" ? (state.spa.setup === "separate" && has("Spa")) : has(s)) ? s : "Shared";
+      const reqBy = {};
+      const bodiesBy = {};
+      for (const s of Object.keys(parts)) {
+        if (parts[s] <= 0) continue;
+        reqBy[owner(s)] = (reqBy[owner(s)] || 0) + parts[s];
+        bodiesBy[owner(s)] = (bodiesBy[owner(s)] || []).concat(s);
+      }
+
+      const groups = Object.keys(reqBy).map((system) => {
+        const gp = pumps.filter(p => p.system === system);
+        const headFn = modeHeadFn(mode, system, gp, bodiesBy[system], reqBy[system]);
+        const duty = gp.length ? groupDuty(gp, headFn, null) : null;
+        const cap = duty?.op ? duty.op.gpm : 0;
+        const req = reqBy[system];
+        return { system, req, bodies: bodiesBy[system], pumps: gp, headFn, duty, cap, margin: (cap - req) / req, pass: gp.length > 0 && cap >= req };
+      });
+
+      const req = groups.reduce((a, g) => a + g.req, 0);
+      const result = {
+        mode,
+        parts,
+        groups,
+        req,
+        active: req > 0,
+        flowPass: groups.length > 0 && groups.every(g => g.pass),
+        margin: groups.length ? Math.min(...groups.map(g => g.margin)) : Infinity,
+      };
+      // Enough flow is not enough: too much through a drain cover fails the mode too
+      result.suction = modeSuctionChecks(result);
+      result.pass = result.flowPass && result.suction.every(c => c.pass);
+      return result;
+    }
+
+    function evaluateModes() {
+      return (state.modes || []).map(m => evaluateMode(m));
+    }
+
+    function worstMode(results) {
+      let worst = null;
+      for (const r of results) {
+        if (r.active && (!worst || r.margin < worst.margin)) worst = r;
+      }
+      return worst;
+    }
+
+    function modeEnergy(result) {
+      const run = result.groups.flatMap(g => (g.pumps.length ? runningPumps(g.pumps, g.req, g.headFn) : []));
+      return energyForRun(run, clamp(num(result.mode.hours, 0), 0, 24));
+    }
+
+    /* -----------------------------
+       Daily schedule
+       Slots of a valve mode at a set speed. Each slot's delivered flow is split across the
+       bodies it serves in proportion to their design flow; a slot may wrap past midnight.
+    ----------------------------- */
+    // Set speed, held inside what every pump in the group can actually run
+    function groupRpm(pumps, rpm) {
+      let lo = 0, hi = Infinity;
+      for (const p of pumps) {
+        const range = speedRange(curves[p.model]);
+        if (!range) continue;
+        lo = Math.max(lo, range.min);
+        hi = Math.min(hi, range.max);
+      }
+      return hi >= lo ? clamp(Math.round(num(rpm, hi)), lo, hi) : null;
+    }
+
+    function evaluateSlot(slot) {
+      const mode = state.modes.find(m => m.id === slot.modeId);
+      const hours = slotHours(slot);
+      if (!mode) return { slot, mode: null, hours, gpm: 0, bodies: { Pool: 0, Spa: 0, Water: 0 }, energy: energyForRun([], hours), short: false };
+
+      const r = evaluateMode(mode);
+      const bodies = { Pool: 0, Spa: 0, Water: 0 };
+      const run = [];
+      let gpm = 0, short = false;
+      for (const g of r.groups) {
+        const rpm = groupRpm(g.pumps, slot.rpm);
+        const duty = rpm ? groupDuty(g.pumps, g.headFn, rpm) : null;
+        const q = duty?.op ? duty.op.gpm : 0;
+        gpm += q;
+        short = short || q < g.req;
+        run.push(...(duty ? duty.shares : []));
+        for (const b of g.bodies) bodies[b] += q * r.parts[b] / g.req;
+      }
+      return { slot, mode, hours, gpm, bodies, energy: energyForRun(run, hours), short };
+    }
+
+    function evaluateSchedule() {
+      const slots = (state.schedule?.slots || []).map(evaluateSlot);
+      const gallons = (key) => slots.reduce((a, x) => a + (key ? x.bodies[key] : x.gpm) * 60 * x.hours, 0);
+      const poolVol = num(state.project.poolVol, 0);
+      const spaVol = num(state.spa.spaVol, 0);
+      const target = Math.max(0, num(state.schedule?.targetTurnovers, 1));
+      const hours = slots.reduce((a, x) => a + x.hours, 0);
+
+      const features = state.waterFeatures.map(wf => ({
+        wf,
+        hours: slots.filter(x => x.mode && modeHasFeature(x.mode, wf)).reduce((a, x) => a + x.hours, 0),
+      }));
+      const kwhDay = slots.reduce((a, x) => a + x.energy.kwhDay, 0);
+      const rate = num(state.energy.rate, 0);
+
+      const pool = { gallons: gallons("Pool"), turnovers: poolVol ? gallons("Pool") / poolVol : 0 };
+      const spa = { gallons: gallons("Spa"), turnovers: spaVol ? gallons("Spa") / spaVol : 0 };
+      return {
+        slots,
+        hours,
+        overbooked: hours > 24 + 1e-9,
+        gallons: gallons(null),
+        target,
+        pool: { ...pool, pass: pool.turnovers >= target },
+        spa: { ...spa, pass: !state.spa.enabled || spa.turnovers >= target },
+        features,
+        kwhDay,
+        costYear: kwhDay * rate * 365,
+        estimated: slots.some(x => x.energy.estimated),
+      };
+    }
+
+    /* -----------------------------
+       Filter check
+       Filtration rate at each mode's operating flow (full speed duty) through the filter,
+       against the type's residential/commercial maximum and the filter's rated flow.
+    ----------------------------- */
+    const filterType = () => FILTER_TYPES.find(t => t.id === state.filter.type) || FILTER_TYPES[0];
+
+    function filterMaxRate() {
+      return filterType().maxRate[state.filter.use === "commercial" ? "commercial" : "residential"];
+    }
+
+    function filterFlow(result) {
+      const serves = state.filter.serves || "All";
+      return result.groups
+        .filter(g => serves === "All" || g.system === serves)
+        .reduce((a, g) => a + g.cap, 0);
+    }
+
+    function filterChecks(results = evaluateModes()) {
+      if (!state.filter.enabled) return [];
+      const area = num(state.filter.area, 0);
+      const rated = num(state.filter.rated, 0);
+      const max = filterMaxRate();
+      return results.filter(r => r.active).map((r) => {
+        const gpm = filterFlow(r);
+        const rate = area > 0 ? gpm / area : Infinity;
+        const overRated = rated > 0 && gpm > rated;
+        return { result: r, gpm, rate, max, rated, rateOk: rate <= max, overRated, pass: gpm <= 0 || (rate <= max && !overRated) };
+      });
+    }
+
+    /* -----------------------------
+       Suction outlets (entrapment / VGB)
+       Each body's drains, covers and skimmers. Worst case: skimmers closed and one drain
+       blocked, so the full suction flow shares the remaining drains. Drains closer than
+       the minimum separation act as one outlet. Flow is the full-speed duty of each mode.
+    ----------------------------- */
+    function suctionCheck(set, gpm) {
+      const drains = Math.max(0, Math.round(num(set.drains, 0)));
+      const separated = num(set.separationIn, 0) >= DRAIN_MIN_SEPARATION_IN;
+      const outlets = drains >= 2 && !separated ? 1 : drains;
+      const perCover = outlets >= 2 ? gpm / (outlets - 1) : gpm;
+      const rated = num(set.coverRated, 0);
+      const vMax = num(state.engineering.velSuctionMax, 6);
+      const vDrain = velocityFps(perCover, insideDiameter(set.drainPipeIn));
+      const vHeader = velocityFps(gpm, insideDiameter(set.headerIn));
+
+      const issues = [];
+      if (!drains) issues.push("no main drain");
+      else if (outlets < 2 && !set.unblockable) issues.push(separated ? "single outlet needs an unblockable cover or SVRS" : `drains closer than ${DRAIN_MIN_SEPARATION_IN} in act as one outlet`);
+      if (drains && perCover > rated) issues.push(`${fmtQ("flow", perCover)} per cover > ${fmtQ("flow", rated)} rated`);
+      if (vDrain > vMax) issues.push(`drain pipe ${fmtQ("velocity", vDrain)} > ${fmtQ("velocity", vMax)}`);
+      if (vHeader > vMax) issues.push(`suction header ${fmtQ("velocity", vHeader)} > ${fmtQ("velocity", vMax)}`);
+      return { set, gpm, drains, outlets, perCover, rated, vDrain, vHeader, vMax, issues, pass: !issues.length };
+    }
+
+    // Checks for every outlet set a mode pulls water through
+    function modeSuctionChecks(result) {
+      const flows = modeSuctionFlows(result);
+      return (state.suction || [])
+        .filter(set => set.enabled && flows[set.body] > 0 && (set.body !== "Spa" || state.spa.enabled))
+        .map(set => suctionCheck(set, flows[set.body]));
+    }
+
+    /* -----------------------------
+       Pump recommender
+       Every catalog model at Qty 1..RECOMMEND_MAX_QTY, as the only row on a system
+    ----------------------------- */
+    const RECOMMEND_MAX_QTY = 3;
+    const RECOMMEND_SHORTLIST = 5;
+
+    const RECOMMEND_SORTS = {
+      energy: (a, b) => a.costYear - b.costYear || a.rpm - b.rpm || b.margin - a.margin,
+      rpm: (a, b) => a.rpm - b.rpm || a.costYear - b.costYear || b.margin - a.margin,
+      margin: (a, b) => b.margin - a.margin || a.costYear - b.costYear,
+    };
+
+    function rateCandidate(system, model, qty) {
+      const current = state.pumps.filter(p => p.system === system);
+      const pump = { id: "candidate", model, qty, system, arrangement: "parallel", tdh: Math.max(0, ...current.map(p => num(p.tdh, 0))) };
+      const req = requiredFlowForSystem(system);
+      const headFn = headFnForSystem(system, [pump]);
+
+      const g = groupDuty([pump], headFn, null);
+      const cap = g.op ? g.op.gpm : 0;
+      const speed = minSpeedForFlow([pump], req, headFn);
+      if (!speed) return { model, qty, cap, pass: false };
+
+      // It also has to carry its share of every valve mode; energy is summed over their runtimes
+      const pumps = state.pumps.filter(p => p.system !== system).concat(pump);
+      let rpm = speed.rpm, kw = 0, costYear = 0, estimated = false;
+      for (const mode of state.modes || []) {
+        const mg = evaluateMode(mode, pumps).groups.find(x => x.system === system);
+        if (!mg) continue;
+        const ms = minSpeedForFlow([pump], mg.req, mg.headFn);
+        if (!ms) return { model, qty, cap, pass: false };
+        const e = energyForRun(ms.lines, clamp(num(mode.hours, 0), 0, 24));
+        rpm = Math.max(rpm, ms.rpm);
+        kw = Math.max(kw, e.kw);
+        costYear += e.costYear;
+        estimated = estimated || e.estimated;
+      }
+
+      return {
+        model, qty, cap, pass: true,
+        margin: req > 0 ? (cap - req) / req : 0,
+        rpm,
+        extrapolated: !!g.op?.extrapolated,
+        kw, costYear, estimated,
+      };
+    }
+
+    function recommendPumps(sort) {
+      const cmp = RECOMMEND_SORTS[sort] || RECOMMEND_SORTS.energy;
+      return activeRequirements().filter(r => !r.spaMode).map((r) => {
+        const all = [];
+        for (const model of Object.keys(curves)) {
+          for (let qty = 1; qty <= RECOMMEND_MAX_QTY; qty++) all.push(rateCandidate(r.system, model, qty));
+        }
+        const passing = all.filter(c => c.pass).sort(cmp);
+        return { ...r, tried: all.length, shortlist: passing.slice(0, RECOMMEND_SHORTLIST) };
+      });
+    }
+
+    /* -----------------------------
+       ✅ System-level validation
+    ----------------------------- */
+    function computeSystemHealth() {
+      const systems = ["Shared", "Pool", "Water", "Spa"];
+      const map = {};
+      for (const s of systems) {
+        const req = requiredFlowForSystem(s);
+        const pumps = state.pumps.filter(p => p.system === s);
+
+        // Pumps on the same system run together: rate the combined curve, not each pump alone
+        const headFn = headFnForSystem(s, pumps);
+        const group = pumps.length ? groupDuty(pumps, headFn, null) : null;
+        const cap = group?.op ? group.op.gpm : 0;
+        const hardFail = pumps.length > 0 && !group?.op; // combined shutoff head below the system head
+        const details = [];
+
+        for (const sh of (group?.shares || [])) {
+          const p = sh.pump;
+          if (!sh.op) {
+            details.push({ pumpId: p.id, ok: false, text: `Pump cannot run @ TDH ${fmtQ("head", headFn(0))} (max ${fmtQ("head", maxCurveTDH(p.model))})` });
+            continue;
+          }
+          details.push({ pumpId: p.id, ok: true, text: `Duty ${fmtQ("flow", sh.op.gpm)} @ ${fmtQ("head", sh.op.tdh)}, ${sh.line.label || (sh.line.rpm+" RPM")} (Qty ${Math.max(1,Math.round(num(p.qty,1)))})${sh.op.extrapolated ? " (extrapolated)" : ""}` });
+        }
+
+        const hasP = pumps.length > 0;
+        const pass = hasP && !hardFail && cap >= req;
+        const fail = req > 0 && !pass;
+
+        map[s] = {
+          req,
+          cap,
+          pass,
+          fail,
+          hasP,
+          details,
+          group,
+          speed: minSpeedForSystem(s),
+          summaryText:
+            !hasP
+              ? (req > 0 ? `FAIL (No pumps assigned, Req ${fmtQ("flow", req)})` : `—`)
+              : pass
+                ? `PASS (Req ${round1(toUnit("flow", req))} ≤ Cap ${fmtQ("flow", cap)}${group.op.extrapolated ? ", extrapolated" : ""})`
+                : `FAIL (Req ${round1(toUnit("flow", req))} > Cap ${fmtQ("flow", cap)}${hardFail ? " + TDH issue" : ""})`,
+        };
+      }
+      return map;
+    }
+
+    /* -----------------------------
+       TDH Estimator (Hazen–Williams)
+    ----------------------------- */
+    function segmentsFor(system) {
+      return (state.engineering.segments || []).filter(seg =>
+        num(seg.length, 0) > 0 && (!seg.serves || seg.serves === "All" || seg.serves === system));
+    }
+
+    /* -----------------------------
+       Feature branches
+       Each feature row is its own branch off the return: outlet elevation above the pump,
+       residual head the outlet needs, and its own pipe run. At other than design flow the
+       branch carries its share in proportion; the outlet residual goes with the square.
+    ----------------------------- */
+    // Typed residual, else the hydraulic inlet head, else nothing
+    function featureResidual(wf) {
+      if (String(wf.residualFt ?? "").trim() !== "") return Math.max(0, num(wf.residualFt, 0));
+      const h = featureHydraulics(wf).inletHead;
+      return Number.isFinite(h) ? h : 0;
+    }
+
+    function featureBranchHead(wf, ratio = 1) {
+      const C = clamp(num(state.engineering.C, 140), 80, 160);
+      const gpm = featureFlow(wf) * ratio;
+      const elev = num(wf.elevFt, 0);
+      const residual = featureResidual(wf) * ratio * ratio;
+      const friction = hazenWilliams(num(wf.branchFt, 0), gpm, insideDiameter(num(wf.branchIn, 1.5)), C);
+      return { wf, gpm, elev, residual, friction, head: elev + residual + friction };
+    }
+
+    function criticalBranch(features, ratio = 1) {
+      let worst = null;
+      for (const wf of features) {
+        if (featureFlow(wf) <= 0) continue;
+        const b = featureBranchHead(wf, ratio);
+        if (!worst || b.head > worst.head) worst = b;
+      }
+      return worst;
+    }
+
+    const featureBranchesEntered = () => state.waterFeatures.some(wf => num(wf.branchFt, 0) > 0);
+
+    // System head curve: static head + equipment head + friction (grows with Q^1.85).
+    // With pipe segments the run is summed per segment; otherwise one pipe of eqDist×2.
+    // Static head is the higher of the entered elevation and the critical feature branch, for
+    // systems that carry features (opts.features / opts.design narrow it to one valve mode).
+    function systemHeadAtFlow(flowGPM, system, opts) {
+      const eqDist = num(state.engineering.eqDist, 0);
+      const fittings = state.engineering.fittings || [];
+      const elev = num(state.engineering.elev, 0);
+      const C = clamp(num(state.engineering.C, 140), 80, 160);
+      const d = insideDiameter(state.engineering.pipeIn);
+
+      const Q = Math.max(0, flowGPM);
+      const segs = (state.engineering.segments || []).length ? segmentsFor(system) : null;
+
+      let friction = 0;
+      let L = 0;
+      let segments = [];
+      let mainFits = fittings;
+      if (segs) {
+        const segIds = new Set((state.engineering.segments || []).map(seg => seg.id));
+        mainFits = fittings.filter(f => !segIds.has(f.segId));
+        for (const side of PIPE_SIDES) {
+          const r = segmentFriction(segs.filter(seg => (seg.side || "return") === side.id), Q, C, fittings);
+          friction += r.friction;
+          L += r.L;
+          segments = segments.concat(r.rows);
+        }
+      } else {
+        L = Math.max(0, eqDist * 2);
+        friction = hazenWilliams(L, Q, d, C);
+      }
+
+      // Fittings not tied to a segment see the full flow at their own size
+      const mainFitRows = mainFits.map((f) => {
+        const fd = insideDiameter(num(f.sizeIn, state.engineering.pipeIn));
+        return { fit: f, gpm: Q, d: fd, loss: fittingLoss(f, Q, fd) };
+      });
+      const mainFitLoss = mainFitRows.reduce((a, f) => a + f.loss, 0);
+      friction += mainFitLoss;
+
+      const fittingsLoss = mainFitLoss + segments.filter(r => r.counted).reduce((a, r) => a + r.fitLoss, 0);
+      const fittingRows = mainFitRows.concat(...segments.map(r => r.fits.map(f => ({ ...f, counted: r.counted }))));
+
+      const equipment = (state.engineering.equipment || [])
+        .filter(item => !item.serves || item.serves === "All" || item.serves === system)
+        .map(item => ({ item, loss: equipmentLoss(item, Q) }));
+      const equipHead = equipment.reduce((a, r) => a + r.loss, 0);
+
+      const carries = system === "Water" || (system === "Shared" && !hasWaterPumps());
+      const features = opts?.features ?? (carries ? state.waterFeatures : []);
+      const design = opts?.design ?? requiredFlowForSystem(system);
+      const branch = features.length && design > 0 ? criticalBranch(features, Q / design) : null;
+      const staticHead = branch && branch.head > elev ? branch.head : elev;
+
+      return { tdh: friction + staticHead + equipHead, friction, L, elev, branch: branch && branch.head > elev ? branch : null, staticHead, equipHead, equipment, segments, fittingsLoss, fittingRows };
+    }
+
+    function estimateTDHForFlow(flowGPM, system) {
+      const h = systemHeadAtFlow(flowGPM, system);
+
+      state.engineering.estimatedL = h.L;
+      state.engineering.estimatedFittings = h.fittingsLoss;
+      state.engineering.estimatedFriction = h.friction;
+      state.engineering.estimatedTDH = h.tdh;
+
+      return h.tdh;
+    }
+
+    // The system curve is used once the plumbing run (or a feature branch) is entered; until then pumps are
+    // rated at their hand-entered TDH.
+    function systemCurveActive() {
+      if ((state.engineering.segments || []).some(seg => num(seg.length, 0) > 0)) return true;
+      if (featureBranchesEntered()) return true;
+      return num(state.engineering.eqDist, 0) > 0;
+    }
+
+    const flatHead = (tdh) => () => tdh;
+
+    function systemHeadFn(system) {
+      return (Q) => systemHeadAtFlow(Q, system).tdh;
+    }
+
+    function headFnForPump(pump) {
+      return systemCurveActive() ? systemHeadFn(pump.system) : flatHead(num(pump.tdh, 0));
+    }
+
+    // Pumps on one system share a manifold: without a system curve they're rated at the highest TDH entered among them
+    function headFnForSystem(system, pumps) {
+      return systemCurveActive()
+        ? systemHeadFn(system)
+        : flatHead(Math.max(0, ...pumps.map(p => num(p.tdh, 0))));
+    }
+
+    function spaHeadFn() {
+      return systemCurveActive() ? systemHeadFn("Spa") : flatHead(num(state.spa.spaTDH, 50));
+    }
+
+    // System whose flow (and branch piping) an estimator scope stands for
+    function systemForScope(scope) {
+      if (scope === "pool") return "Pool";
+      if (scope === "water") return "Water";
+      if (scope === "spa") return "Spa";
+      if (scope === "shared") return "Shared";
+
+      let best = "Shared";
+      for (const s of ["Shared", "Pool", "Water", "Spa"]) {
+        if (requiredFlowForSystem(s) > requiredFlowForSystem(best)) best = s;
+      }
+      return best;
+    }
+
+    function estimateFlowByScope(scope) {
+      return Math.max(0, requiredFlowForSystem(systemForScope(scope)));
+    }
+
+    /* -----------------------------
+       Pipe velocity checks
+    ----------------------------- */
+    // Flows that actually run through the plumbing: each system with pumps, plus spa mode on shared pumps
+    function activeRequirements() {
+      const list = [];
+      for (const s of ["Shared", "Pool", "Water", "Spa"]) {
+        if (!state.pumps.some(p => p.system === s)) continue;
+        const req = requiredFlowForSystem(s);
+        if (req > 0) list.push({ name: s === "Water" ? "Water Features" : s, system: s, req, spaMode: false });
+      }
+      if (state.spa.enabled && state.spa.setup === "shared" && spaRequiredFlow() > 0) {
+        list.push({ name: "Spa Mode (Shared pumps)", system: "Spa", req: spaRequiredFlow(), spaMode: true });
+      }
+      return list;
+    }
+
+    function velocityLimit(side) {
+      return side === "suction"
+        ? num(state.engineering.velSuctionMax, 6)
+        : num(state.engineering.velReturnMax, 8);
+    }
+
+    // Smallest offered nominal size that keeps velocity at or under the limit (null if none does)
+    function recommendedPipeSize(gpm, limit) {
+      return PIPE_SIZES_IN.find(n => velocityFps(gpm, insideDiameter(n)) <= limit) ?? null;
+    }
+
+    function velocityChecks() {
+      const rows = [];
+      const hasSegs = (state.engineering.segments || []).length > 0;
+      for (const r of activeRequirements()) {
+        const lines = hasSegs
+          ? segmentsFor(r.system).map(seg => ({
+            label: seg.name || "Segment",
+            side: seg.side || "return",
+            sizeIn: num(seg.sizeIn, 2),
+            gpm: r.req * clamp(num(seg.flowPct, 100), 0, 100) / 100,
+          }))
+          : PIPE_SIDES.map(sd => ({ label: sd.label, side: sd.id, sizeIn: num(state.engineering.pipeIn, 2.5), gpm: r.req }));
+
+        for (const ln of lines) {
+          const v = velocityFps(ln.gpm, insideDiameter(ln.sizeIn));
+          const limit = velocityLimit(ln.side);
+          rows.push({ ...ln, name: r.name, system: r.system, v, limit, ok: v <= limit, recommend: recommendedPipeSize(ln.gpm, limit) });
+        }
+      }
+      return rows;
+    }
+
+    /* -----------------------------
+       Results
+       Everything the project works out to, in the project's display units
+    ----------------------------- */
+    function results() {
+      const modes = evaluateModes();
+      const health = computeSystemHealth();
+      const sc = evaluateSchedule();
+      return {
+        units: { system: isMetric() ? "metric" : "us", flow: unitLabel("flow"), head: unitLabel("head"), volume: unitLabel("volume") },
+        flows: {
+          poolTurnover: toUnit("flow", poolTurnoverFlow()),
+          waterFeatures: toUnit("flow", waterFeaturesFlow()),
+          features: state.waterFeatures.map((wf) => {
+            const h = featureHydraulics(wf);
+            return { type: wf.type, method: wf.method, flow: toUnit("flow", featureFlow(wf)), inletHead: Number.isFinite(h.inletHead) ? toUnit("head", h.inletHead) : null, branchHead: toUnit("head", featureBranchHead(wf).head) };
+          }),
+          spaMode: toUnit("flow", spaRequiredFlow()),
+        },
+        systems: Object.entries(health).filter(([, h]) => h.hasP).map(([system, h]) => ({
+          system,
+          requiredFlow: toUnit("flow", h.req),
+          capacity: toUnit("flow", h.cap),
+          pass: h.pass,
+          pumps: (h.group?.shares || []).map(sh => ({
+            model: sh.pump.model,
+            qty: Math.max(1, Math.round(num(sh.pump.qty, 1))),
+            flow: sh.op ? toUnit("flow", sh.op.gpm) : null,
+            head: sh.op ? toUnit("head", sh.op.tdh) : null,
+            rpm: sh.line?.rpm ?? null,
+          })),
+        })),
+        modes: modes.map(r => ({
+          name: r.mode.name,
+          requiredFlow: toUnit("flow", r.req),
+          pass: r.active ? r.pass : null,
+          groups: r.groups.map(g => ({ system: g.system, requiredFlow: toUnit("flow", g.req), head: toUnit("head", g.headFn(g.req)), capacity: toUnit("flow", g.cap) })),
+          suction: r.suction.map(c => ({ body: c.set.body, flow: toUnit("flow", c.gpm), perCover: toUnit("flow", c.perCover), pass: c.pass, issues: c.issues })),
+          margin: r.active ? r.margin : null,
+          energy: r.active ? energyForExport(modeEnergy(r)) : null,
+        })),
+        filter: filterChecks(modes).map(c => ({
+          mode: c.result.mode.name,
+          flow: toUnit("flow", c.gpm),
+          rate: toUnit("flowPerArea", c.rate),
+          maxRate: toUnit("flowPerArea", c.max),
+          overRated: c.overRated,
+          pass: c.pass,
+        })),
+        schedule: {
+          slots: sc.slots.map(x => ({
+            start: x.slot.start, end: x.slot.end, mode: x.mode?.name ?? null, rpm: x.slot.rpm, hours: x.hours,
+            flow: toUnit("flow", x.gpm), energy: energyForExport(x.energy),
+          })),
+          volumePerDay: toUnit("volume", sc.gallons),
+          poolTurnovers: sc.pool.turnovers,
+          spaTurnovers: state.spa.enabled ? sc.spa.turnovers : null,
+          featureHours: sc.features.map(f => ({ type: f.wf.type, hours: f.hours })),
+          kwhPerDay: sc.kwhDay,
+          costPerYear: sc.costYear,
+        },
+      };
+    }
+
+    return {
+      gpmAtTDH, tdhAtGPM, operatingPoint, FIT_MIN_R2, curveFits, sampledCurves, useCurveFit,
+      extrapolateFraction, curveEnd, fitQuadratic, curveFit, fitSummary, curveIssues, isMetric, unitOf,
+      unitLabel, toUnit, fromUnit, fmtQ, inputValue, readInput, pipeLabel, pointsToDisplayText,
+      parseDisplayPoints, getTurnoverHours, poolTurnoverFlow, featureFlow, waterFeaturesFlow, spaJetsFlow,
+      spaTurnoverFlow, spaRequiredFlow, spilloverFlow, hasWaterPumps, requiredFlowForSystem,
+      poolModeRequiredTotal, maxCurveTDH, bestCapacityAtTDH, COMBINE_SAMPLES, isSeries, scaledPoints,
+      parallelCurve, seriesCurve, combinedCurve, groupDuty, minSpeedForFlow, minSpeedForSystem,
+      minSpeedForSpaMode, DEFAULT_PUMP_EFFICIENCY, wattsAtGPM, pumpWatts, runningPumps, energyForRun,
+      energyText, energyForExport, spaPartFlow, modeHeadFn, evaluateMode, evaluateModes, worstMode,
+      modeEnergy, groupRpm, evaluateSlot, evaluateSchedule, filterType, filterMaxRate, filterFlow,
+      filterChecks, suctionCheck, modeSuctionChecks, RECOMMEND_MAX_QTY, RECOMMEND_SHORTLIST, RECOMMEND_SORTS,
+      rateCandidate, recommendPumps, computeSystemHealth, segmentsFor, featureResidual, featureBranchHead,
+      criticalBranch, featureBranchesEntered, systemHeadAtFlow, estimateTDHForFlow, systemCurveActive,
+      flatHead, systemHeadFn, headFnForPump, headFnForSystem, spaHeadFn, systemForScope, estimateFlowByScope,
+      activeRequirements, velocityLimit, recommendedPipeSize, velocityChecks, results,
+    };
+  }
+
+  // Headless entry point: saved or exported project state (and curve catalog) → results
+  function computeResults(project, catalog = DEFAULT_CURVES) {
+    const state = defaultState();
+    applyProject(state, structuredClone(project || {}));
+    const curves = structuredClone(catalog);
+    fillModelSpeedDefaults(curves);
+    return createEngine(state, curves).results();
+  }
+
+  return {
+    num, clamp, round1, round2, safeId, isBubblerType, parsePoints, pointsToText, FT_TO_M, UNIT_SYSTEMS,
+    METRIC_FLOWS, PIPE_DN, WATER_FEATURE_TYPES, DEFAULT_CURVES, FITTING_TYPES, DEFAULT_FITTINGS,
+    EQUIPMENT_LIBRARY, DEFAULT_EQUIPMENT, FILTER_TYPES, FILTER_LIBRARY, PROJECT_FORMAT, PROJECT_VERSION,
+    readProjectFile, GAL_PER_FT3, POOL_SHAPES, DEPTH_PROFILES, EXTRA_TYPES, newVolumeBuilder, shapeArea,
+    averageDepth, builtVolume, CFS_TO_GPM, BRINK_DEPTH_RATIO, NOZZLE_CV, BUBBLER_TABLE, featureType,
+    newWaterFeature, featurePerFt, weirFlow, nozzleFlow, bubblerFlow, featureHydraulics, referenceLine,
+    speedRange, affinityLine, lineAtRpm, MODE_SPA_OPTIONS, MODE_RETURNS, newMode, defaultModes,
+    modeHasFeature, defaultSchedule, clockHours, slotHours, clockText, DRAIN_MIN_SEPARATION_IN,
+    newSuctionSet, modeSuctionFlows, PIPE_SCH40, PIPE_SIZES_IN, insideDiameter, PIPE_SIDES, SEGMENT_SERVES,
+    GRAVITY, newEquipment, equipmentLoss, defaultFittings, velocityFps, fittingLoss, hazenWilliams,
+    segmentFriction, defaultState, applyProject, normalizeWaterFeatures, fillModelSpeedDefaults, newScenario,
+    scenarioState, openScenario, scenarioPipeSizes, compareScenarios, createEngine, computeResults,
+  };
+});
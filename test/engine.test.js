@@ -0,0 +1,252 @@
+// Engine tests: npm test
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const E = require("../engine.js");
+const cli = require("../cli.js");
+
+function project(edit) {
+  const state = E.defaultState();
+  if (edit) edit(state);
+  return { state, curves: structuredClone(E.DEFAULT_CURVES) };
+}
+
+const engineFor = ({ state, curves }) => E.createEngine(state, curves);
+const near = (actual, expected, tol, msg) => assert.ok(Math.abs(actual - expected) <= tol, `${msg || ""} expected ${expected} ± ${tol}, got ${actual}`);
+
+test("pool turnover flow is volume over turnover time", () => {
+  const e = engineFor(project((s) => { s.project.poolVol = 18000; s.project.turnoverH = 6; }));
+  near(e.poolTurnoverFlow(), 50, 1e-9);
+
+  const custom = engineFor(project((s) => { s.project.poolVol = 24000; s.project.turnoverCustom = "8"; }));
+  near(custom.poolTurnoverFlow(), 50, 1e-9, "custom turnover hours override the preset");
+});
+
+test("shared pumps carry the features only when no feature pump exists", () => {
+  const shared = engineFor(project());
+  near(shared.requiredFlowForSystem("Shared"), shared.poolTurnoverFlow() + shared.waterFeaturesFlow(), 1e-9);
+
+  const split = engineFor(project((s) => {
+    s.pumps.push({ id: "w", model: "Jandy FloPro FHPM 1.0 HP", qty: 1, system: "Water", arrangement: "parallel", tdh: 40 });
+  }));
+  near(split.requiredFlowForSystem("Shared"), split.poolTurnoverFlow(), 1e-9);
+  near(split.requiredFlowForSystem("Water"), split.waterFeaturesFlow(), 1e-9);
+});
+
+test("Hazen–Williams loss scales with length and flow^1.85", () => {
+  const base = E.hazenWilliams(100, 60, 2.067, 140);
+  assert.ok(base > 0);
+  near(E.hazenWilliams(200, 60, 2.067, 140), 2 * base, 1e-9);
+  near(E.hazenWilliams(100, 120, 2.067, 140) / base, Math.pow(2, 1.85), 1e-9);
+  assert.equal(E.hazenWilliams(100, 0, 2.067, 140), 0);
+});
+
+test("best capacity at TDH picks the line that moves the most water", () => {
+  const e = engineFor(project());
+  const pump = { model: "Jandy VS FloPro 2.7 HP", qty: 1, tdh: 50 };
+  const cap = e.bestCapacityAtTDH(pump, null);
+  assert.ok(cap.ok);
+  assert.equal(cap.best.line.rpm, 3450);
+  near(cap.capTotal, 127.5, 1, "2.7 HP at 50 ft");
+
+  const twin = e.bestCapacityAtTDH({ ...pump, qty: 2 }, null);
+  near(twin.capTotal, 2 * cap.capTotal, 0.5, "two in parallel at a flat head");
+
+  const tooHigh = e.bestCapacityAtTDH({ ...pump, tdh: 120 }, null);
+  assert.equal(tooHigh.ok, false);
+});
+
+test("estimated TDH rises with flow once the plumbing run is entered", () => {
+  const e = engineFor(project((s) => {
+    s.engineering.segments = [{ id: "s", name: "Return", side: "return", serves: "All", branch: "", sizeIn: 2, length: 120, flowPct: 100 }];
+  }));
+  assert.ok(e.systemCurveActive());
+  const low = e.estimateTDHForFlow(40, "Shared");
+  const high = e.estimateTDHForFlow(100, "Shared");
+  assert.ok(high > low, `${high} > ${low}`);
+});
+
+test("system health fails when the pool outgrows the pump", () => {
+  const ok = engineFor(project()).computeSystemHealth();
+  assert.equal(ok.Shared.pass, true);
+
+  const big = engineFor(project((s) => { s.project.poolVol = 60000; })).computeSystemHealth();
+  assert.equal(big.Shared.pass, false);
+  assert.ok(big.Shared.cap < big.Shared.req);
+});
+
+test("computeResults gives modes, systems, filter and schedule for a saved project", () => {
+  const { state } = project((s) => { s.spa.enabled = true; });
+  const r = E.computeResults(JSON.parse(JSON.stringify(state)));
+  assert.equal(r.units.flow, "GPM");
+  assert.deepEqual(r.modes.map(m => m.name), ["Pool", "Spa", "Spillover", "Feature only"]);
+  assert.ok(r.modes.every(m => m.pass === true));
+  assert.equal(r.systems[0].system, "Shared");
+  assert.equal(r.systems[0].pumps[0].rpm, 3450);
+  assert.ok(r.schedule.kwhPerDay > 0);
+  assert.ok(r.filter.length > 0);
+});
+
+test("results follow the project's display units", () => {
+  const us = E.computeResults(project().state);
+  const metric = E.computeResults(project((s) => { s.project.units = "metric"; }).state);
+  assert.equal(metric.units.flow, "m³/h");
+  near(metric.flows.poolTurnover, us.flows.poolTurnover * E.METRIC_FLOWS.m3h.f, 1e-9);
+});
+
+test("computeResults leaves the input untouched", () => {
+  const { state } = project();
+  const before = JSON.stringify(state);
+  E.computeResults(state);
+  assert.equal(JSON.stringify(state), before);
+});
+
+test("project file: unversioned files are migrated", () => {
+  const res = E.readProjectFile({
+    state: {
+      project: { client: "Old", poolVol: 20000, turnoverH: 8, turnoverCustom: "" },
+      waterFeatures: [{ id: "a", type: "Sheer", qty: 2, width: 2, gpmPerFt: 15 }],
+      pumps: [{ id: "p", model: "Jandy VS FloPro 1.85 HP", qty: 1, system: "Shared", tdh: 50 }],
+      engineering: { eqDist: "", fitAllow: 60, pipeIn: 2.5, elev: "", equipHead: 10, C: 140, estimatedTDH: null },
+      energy: { rate: 0.2, poolHours: 10, spaHours: 2 },
+    },
+  });
+  assert.deepEqual(res.errors, []);
+  assert.equal(res.from, 1);
+  const s = res.file.state;
+  assert.equal(s.waterFeatures[0].method, "manual");
+  assert.equal(s.pumps[0].arrangement, "parallel");
+  assert.equal("fitAllow" in s.engineering, false);
+  assert.equal("poolHours" in s.energy, false);
+  assert.equal(s.modes.find(m => m.name === "Pool").hours, 10);
+});
+
+test("project file: broken fields are reported by path and nothing is returned", () => {
+  const { state, curves } = project();
+  state.pumps[0].qty = "abc";
+  state.pumps[0].model = "Missing pump";
+  state.engineering.C = "rough";
+  state.waterFeatures = "x";
+  const res = E.readProjectFile({ format: E.PROJECT_FORMAT, version: E.PROJECT_VERSION, state, curves });
+  assert.equal(res.file, null);
+  assert.ok(res.errors.some(e => e.startsWith("state.pumps[0].qty:")));
+  assert.ok(res.errors.some(e => e.startsWith("state.pumps[0].model:")));
+  assert.ok(res.errors.some(e => e.startsWith("state.engineering.C:")));
+  assert.ok(res.errors.some(e => e.startsWith("state.waterFeatures:")));
+
+  const newer = E.readProjectFile({ version: E.PROJECT_VERSION + 1, state: {} });
+  assert.equal(newer.file, null);
+});
+
+test("project file: whatever the inputs can store survives an export and import", () => {
+  const { state, curves } = project((s) => {
+    s.project.turnoverCustom = "0";
+    s.spa.spaTurnH = 0;
+    s.engineering.C = 40;
+    s.engineering.eqDist = "";
+    s.pumps[0].qty = 25;
+    s.energy.rate = 12;
+    s.schedule.targetTurnovers = 30;
+    s.schedule.slots[0].rpm = 7000;
+    s.suction[0].drains = 12;
+    s.suction[0].skimmers = 24;
+  });
+  const model = curves["Jandy VS FloPro 2.7 HP"];
+  model.efficiency = 0.42;
+  model.minRpm = 0;
+  model.rpmLines.push({ rpm: 0, label: "new", points: [{ gpm: 0, tdh: 80 }] });
+  curves["Blank pump"] = { modelLabel: "Blank pump", rpmLines: [] };
+
+  // As the browser's Export writes it
+  const exported = JSON.parse(JSON.stringify({ format: E.PROJECT_FORMAT, version: E.PROJECT_VERSION, state, curves, results: E.computeResults(state, curves) }));
+  const res = E.readProjectFile(exported);
+  assert.deepEqual(res.errors, []);
+  assert.deepEqual(res.ignored, []);
+  assert.equal(res.file.curves["Jandy VS FloPro 2.7 HP"].efficiency, 0.42, "custom efficiency is kept");
+  assert.equal(res.file.state.pumps[0].qty, 25);
+  assert.deepEqual(E.computeResults(res.file.state, res.file.curves), exported.results);
+});
+
+test("scenarios: switching parks one scenario's equipment and brings back the other's", () => {
+  const { state } = project();
+  const base = state.activeScenario;
+  const cheap = E.newScenario("Cheap", {
+    pumps: [{ id: "c", model: "Jandy VS FloPro 1.85 HP", qty: 1, system: "Shared", arrangement: "parallel", tdh: 50 }],
+    engineering: { pipeIn: 2 },
+  });
+  state.scenarios.push(cheap);
+
+  assert.equal(E.openScenario(state, cheap.id), true);
+  assert.equal(state.pumps[0].model, "Jandy VS FloPro 1.85 HP");
+  assert.equal(state.engineering.pipeIn, 2);
+  assert.equal(state.engineering.C, 140, "unsaved engineering fields take the defaults");
+  assert.equal(state.scenarios[0].pumps[0].model, "Jandy VS FloPro 2.7 HP");
+  assert.equal(cheap.pumps, undefined);
+
+  E.openScenario(state, base);
+  assert.equal(state.pumps[0].model, "Jandy VS FloPro 2.7 HP");
+  assert.equal(state.engineering.pipeIn, 2.5);
+  assert.equal(E.openScenario(state, "missing"), false);
+});
+
+test("scenarios: comparison runs every scenario against the shared project", () => {
+  const { state } = project();
+  state.scenarios.push(E.newScenario("Cheap", {
+    pumps: [{ id: "c", model: "Jandy VS FloPro 1.85 HP", qty: 1, system: "Shared", arrangement: "parallel", tdh: 50 }],
+    engineering: { segments: [{ id: "s", name: "Return", side: "return", serves: "All", branch: "", sizeIn: 2, length: 80, flowPct: 100 }] },
+  }));
+  const [base, cheap] = E.compareScenarios(state);
+  assert.equal(base.active, true);
+  assert.equal(cheap.active, false);
+  assert.deepEqual(cheap.equipment.pipeSizes, [2]);
+  assert.equal(cheap.equipment.pumps[0].model, "Jandy VS FloPro 1.85 HP");
+  assert.deepEqual(base.results, E.computeResults(state), "the open scenario matches the single-project results");
+  near(cheap.results.flows.poolTurnover, base.results.flows.poolTurnover, 1e-9, "pool requirement is shared");
+  assert.equal(base.results.modes[0].pass, true);
+  assert.equal(cheap.results.modes[0].pass, false);
+});
+
+test("project file: v2 files get one scenario; scenario pumps need curves", () => {
+  const { state } = project();
+  delete state.scenarios;
+  delete state.activeScenario;
+  const up = E.readProjectFile({ format: E.PROJECT_FORMAT, version: 2, state });
+  assert.deepEqual(up.errors, []);
+  assert.equal(up.file.state.scenarios.length, 1);
+  assert.equal(up.file.state.activeScenario, up.file.state.scenarios[0].id);
+
+  const s = project().state;
+  s.scenarios.push(E.newScenario("Other", { pumps: [{ id: "x", model: "Nope", qty: 1 }] }));
+  const res = E.readProjectFile({ format: E.PROJECT_FORMAT, version: E.PROJECT_VERSION, state: s });
+  assert.equal(res.file, null);
+  assert.ok(res.errors.some(e => e.startsWith("state.scenarios[1].pumps[0].model:")));
+});
+
+test("CLI: text, JSON and CSV from an exported file", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ppst-"));
+  const file = path.join(dir, "pool-pump-sizing.json");
+  const { state, curves } = project((s) => { s.project.client = "Smith, J."; });
+  fs.writeFileSync(file, JSON.stringify({ format: E.PROJECT_FORMAT, version: E.PROJECT_VERSION, state, curves }));
+
+  const run = cli.runFile(file);
+  assert.equal(run.errors, undefined);
+  assert.match(cli.render([run], "text"), /Result: PASS/);
+  assert.equal(JSON.parse(cli.render([run], "json")).client, "Smith, J.");
+
+  const csv = cli.render([run], "csv").split("\n");
+  assert.equal(csv.length, 1 + run.results.modes.length);
+  assert.match(csv[1], /^pool-pump-sizing\.json,"Smith, J\.",,Pool,PASS,/);
+
+  const out = path.join(dir, "out.csv");
+  assert.equal(cli.main([file, "--format", "csv", "--out", out]), 0);
+  assert.ok(fs.readFileSync(out, "utf8").startsWith("file,client"));
+
+  fs.writeFileSync(file, JSON.stringify({ state: { pumps: [{ model: "Nope" }] } }));
+  assert.ok(cli.runFile(file).errors.length > 0);
+  fs.rmSync(dir, { recursive: true });
+});